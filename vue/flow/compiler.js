@@ -20,6 +20,8 @@ declare type CompilerOptions = {
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  sourceMap?: boolean; // generate source maps, requires outputSourceRange
+  filename?: string; // template file name used in source maps
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -27,6 +29,12 @@ declare type CompilerOptions = {
 
   // for ssr optimization compiler
   scopeId?: string;
+
+  // persistent cache for compileToFunctions, see compiler/to-function.js
+  cache?: {
+    get: (key: string) => ?Object;
+    set: (key: string, entry: Object) => void;
+  };
 };
 
 declare type WarningMessage = {
@@ -42,6 +50,10 @@ declare type CompiledResult = {
   stringRenderFns?: Array<string>;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
+  sourceMaps?: {
+    render: Object;
+    staticRenderFns: Array<Object>;
+  };
 };
 
 declare type ModuleOptions = {
@@ -55,10 +67,12 @@ declare type ModuleOptions = {
   postTransformNode: (el: ASTElement) => void;
   genData: (el: ASTElement) => string; // generate extra data string for an element
   transformCode?: (el: ASTElement, code: string) => string; // further transform generated code for an element
+  modifierCode?: { [key: string]: string | (arg: ?string) => string }; // extra v-on modifiers, e.g. .debounce.300
   staticKeys?: Array<string>; // AST properties to be considered static
 };
 
-declare type ASTModifiers = { [key: string]: boolean };
+// a modifier followed by a number, e.g. .debounce.300, has it as its value
+declare type ASTModifiers = { [key: string]: boolean | string };
 declare type ASTIfCondition = { exp: ?string; block: ASTElement };
 declare type ASTIfConditions = Array<ASTIfCondition>;
 
@@ -109,6 +123,7 @@ declare type ASTElement = {
   end?: number;
 
   processed?: true;
+  fragment?: true;
 
   static?: boolean;
   staticRoot?: boolean;
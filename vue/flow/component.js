@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -71,6 +72,13 @@ declare interface Component {
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
   _provided: ?Object;
+  _scope: EffectScope;
+  _setupState: ?Object;
+  _setupContext: ?Object;
+  _isErrorBoundary?: boolean;
+  _isSuspense?: boolean;
+  _setupPending?: boolean;
+  _setupPromise?: Promise<any>;
   // _virtualComponents?: { [key: string]: Component };
 
   // private methods
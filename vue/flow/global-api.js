@@ -8,6 +8,13 @@ declare interface GlobalAPI {
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
+  addErrorReporter: (reporter: Function) => Function;
+  eventModifier: (name: string, wrap?: ?Function) => ?Function;
+  profiler: {
+    start: () => void;
+    stop: () => Object;
+    addListener: (listener: Function) => Function;
+  };
   use: (plugin: Function | Object) => GlobalAPI;
   mixin: (mixin: Object) => GlobalAPI;
   compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
@@ -17,6 +24,26 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T>(value: T) => T;
+  ref: <T>(value: T) => { value: T };
+  isRef: (value: any) => boolean;
+  computed: (getterOrOptions: Function | Object, debugOptions?: Object) => { value: any };
+  watchEffect: (effect: Function) => Function;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  hydrateIslands: (components?: Object, root?: Element | Document) => Function;
 
   // allow dynamic method registration
   [key: string]: any
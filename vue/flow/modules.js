@@ -31,6 +31,12 @@ declare module 'de-indent' {
   }
 }
 
+declare module 'hash-sum' {
+  declare var exports: {
+    (input: any): string
+  }
+}
+
 declare module 'serialize-javascript' {
   declare var exports: {
     (input: string, options: { isJSON: boolean }): string
@@ -24,6 +24,7 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
 
   // DOM
   el?: string | Element;
@@ -45,6 +46,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  serverDefer?: boolean;
+  hydrate?: 'visible' | 'idle' | 'interaction' | 'never';
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,6 +73,8 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  priority?: 'user-blocking' | 'normal' | 'idle';
+  maxUpdateCount?: number;
 
   // private
   _isComponent?: true;
@@ -39,6 +39,7 @@ declare interface VNodeData {
   key?: string | number;
   slot?: string;
   ref?: string;
+  refInFor?: boolean;
   is?: string;
   pre?: boolean;
   tag?: string;
@@ -80,3 +81,9 @@ declare type VNodeDirective = {
 };
 
 declare type ScopedSlotsData = Array<{ key: string, fn: Function } | ScopedSlotsData>;
+
+declare type VNodeTeleport = {
+  to: string | Element;
+  disabled: boolean;
+  target: ?Element; // resolved target, null when rendered in place
+};
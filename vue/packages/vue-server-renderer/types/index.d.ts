@@ -5,6 +5,8 @@ export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare function createLRUCache(options?: LRUCacheOptions): LRUCache;
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -14,6 +16,11 @@ interface Renderer {
   renderToString(vm: Vue, context: object): Promise<string>;
 
   renderToStream(vm: Vue, context?: object): Readable;
+
+  renderToWebStream(vm: Vue, context?: object): ReadableStream<Uint8Array>;
+  pipeToWebWritable(vm: Vue, context: object | undefined, writable: WritableStream<Uint8Array>): Promise<void>;
+
+  invalidateTags(tags: string[] | string): void | Promise<void>;
 }
 
 interface BundleRenderer {
@@ -23,6 +30,11 @@ interface BundleRenderer {
   renderToString(context: object): Promise<string>;
 
   renderToStream(context?: object): Readable;
+
+  renderToWebStream(context?: object): ReadableStream<Uint8Array>;
+  pipeToWebWritable(context: object | undefined, writable: WritableStream<Uint8Array>): Promise<void>;
+
+  invalidateTags(tags: string[] | string): void | Promise<void>;
 }
 
 interface RendererOptions {
@@ -30,7 +42,11 @@ interface RendererOptions {
   inject?: boolean;
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
-  cache?: RenderCache;
+  cache?: RenderCache | false;
+  cacheVersion?: string;
+  onCacheHit?: (key: string, name: string) => void;
+  onCacheMiss?: (key: string, name: string) => void;
+  compileCache?: CompileCache;
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
@@ -43,8 +59,40 @@ interface BundleRendererOptions extends RendererOptions {
   basedir?: string;
 }
 
+interface CompileCacheEntry {
+  version: string;
+  render: string;
+  staticRenderFns: string[];
+}
+
+interface CompileCache {
+  get: (key: string) => CompileCacheEntry | undefined | null;
+  set: (key: string, entry: CompileCacheEntry) => void;
+}
+
+interface ComponentCacheEntry {
+  html: string;
+  components: any;
+  tags?: string[];
+}
+
 interface RenderCache {
-  get: (key: string, cb?: (res: string) => void) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: (hit: boolean) => void) => boolean | void;
+  get: (key: string, cb?: (res: any) => void) => any;
+  set: (key: string, val: any) => void;
+  has?: (key: string, cb?: (hit: boolean) => void) => boolean | void | Promise<boolean>;
+  invalidateTags?: (tags: string[]) => void | Promise<void>;
+}
+
+interface LRUCacheOptions {
+  max?: number;
+  maxSize?: number;
+}
+
+interface LRUCache extends RenderCache {
+  get: (key: string) => ComponentCacheEntry | undefined;
+  set: (key: string, entry: ComponentCacheEntry) => void;
+  has: (key: string) => boolean;
+  delete: (key: string) => void;
+  invalidateTags: (tags: string[] | string) => void;
+  clear: () => void;
 }
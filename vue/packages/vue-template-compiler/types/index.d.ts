@@ -9,6 +9,21 @@ interface CompilerOptions {
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
   outputSourceRange?: any
+  cache?: CompileCache;
+  sourceMap?: boolean;
+  filename?: string;
+}
+
+interface CompileCacheEntry {
+  version: string;
+  render: string;
+  staticRenderFns: string[];
+  sourceMaps?: { render: SourceMap; staticRenderFns: SourceMap[] };
+}
+
+interface CompileCache {
+  get: (key: string) => CompileCacheEntry | undefined | null;
+  set: (key: string, entry: CompileCacheEntry) => void;
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -27,6 +42,18 @@ interface CompiledResult<ErrorType> {
   staticRenderFns: string[];
   errors: ErrorType[];
   tips: ErrorType[];
+  sourceMaps?: {
+    render: SourceMap;
+    staticRenderFns: SourceMap[];
+  };
+}
+
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
 }
 
 interface CompiledResultFunctions {
@@ -41,6 +68,7 @@ interface ModuleOptions {
   genData: (el: ASTElement) => string;
   transformCode?: (el: ASTElement, code: string) => string;
   staticKeys?: string[];
+  modifierCode?: Record<string, string | ((arg: string | undefined) => string)>;
 }
 
 type DirectiveFunction = (node: ASTElement, directiveMeta: ASTDirective) => void;
@@ -59,7 +87,8 @@ type DirectiveFunction = (node: ASTElement, directiveMeta: ASTDirective) => void
 export type SSROptimizability = 0 | 1 | 2 | 3 | 4
 
 export interface ASTModifiers {
-  [key: string]: boolean;
+  // a string for modifiers with an argument, e.g. .debounce.300
+  [key: string]: boolean | string;
 }
 
 export interface ASTIfCondition {
@@ -96,6 +125,7 @@ export interface ASTElement {
   children: ASTNode[];
 
   processed?: true;
+  fragment?: true;
 
   static?: boolean;
   staticRoot?: boolean;
@@ -224,7 +254,10 @@ export function compile(
   options?: CompilerOptions
 ): CompiledResult<string>;
 
-export function compileToFunctions(template: string): CompiledResultFunctions;
+export function compileToFunctions(
+  template: string,
+  options?: CompilerOptions
+): CompiledResultFunctions;
 
 export function ssrCompile(
   template: string,
@@ -236,7 +269,10 @@ export function ssrCompile(
   options?: CompilerOptions
 ): CompiledResult<string>;
 
-export function ssrCompileToFunctions(template: string): CompiledResultFunctions;
+export function ssrCompileToFunctions(
+  template: string,
+  options?: CompilerOptions
+): CompiledResultFunctions;
 
 export function parseComponent(
   file: string,
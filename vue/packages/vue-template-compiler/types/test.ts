@@ -22,7 +22,11 @@ const compiled = compile("<div>hi</div>", {
       },
       genData: el => el.tag,
       transformCode: (el, code) => code,
-      staticKeys: ["test"]
+      staticKeys: ["test"],
+      modifierCode: {
+        composing: "if($event.isComposing)return null;",
+        min: arg => `if($event.detail<${arg})return null;`
+      }
     }
   ],
   directives: {
@@ -63,6 +67,27 @@ errors3.forEach(e => {
 
 const compiledFns = compileToFunctions("<div>hi</div>");
 
+// source maps
+const mapped = compile("<div>{{ msg }}</div>", {
+  outputSourceRange: true,
+  sourceMap: true,
+  filename: "app.html"
+});
+if (mapped.sourceMaps) {
+  const mappings: string = mapped.sourceMaps.render.mappings;
+}
+
+// persist compiled output across runs
+const store: { [key: string]: { version: string; render: string; staticRenderFns: string[] } } = {};
+ssrCompileToFunctions("<div>hi</div>", {
+  cache: {
+    get: key => store[key],
+    set: (key, entry) => {
+      store[key] = entry;
+    }
+  }
+});
+
 // can be passed to component render / staticRenderFns options
 const vm = new Vue({
   data() {
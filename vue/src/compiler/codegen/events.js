@@ -1,5 +1,8 @@
 /* @flow */
 
+import { hasOwn } from 'shared/util'
+import { eventModifiers } from 'shared/event-modifiers'
+
 const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function(?:\s+[\w$]+)?\s*\(/
 const fnInvokeRE = /\([^)]*?\);*$/
 const simplePathRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*])*$/
@@ -52,15 +55,28 @@ const modifierCode: { [key: string]: string } = {
   right: genGuard(`'button' in $event && $event.button !== 2`)
 }
 
+// modifiers handled by the compiler or addHandler, or standing for a key
+const otherBuiltInModifiers = ['exact', 'capture', 'once', 'passive', 'native']
+
+export function isBuiltInModifier (key: string): boolean {
+  return hasOwn(modifierCode, key) ||
+    hasOwn(keyCodes, key) ||
+    otherBuiltInModifiers.indexOf(key) > -1 ||
+    !!parseInt(key, 10)
+}
+
+type CustomModifierCode = { [key: string]: string | (arg: ?string) => string };
+
 export function genHandlers (
   events: ASTElementHandlers,
-  isNative: boolean
+  isNative: boolean,
+  customModifierCode?: CustomModifierCode
 ): string {
   const prefix = isNative ? 'nativeOn:' : 'on:'
   let staticHandlers = ``
   let dynamicHandlers = ``
   for (const name in events) {
-    const handlerCode = genHandler(events[name])
+    const handlerCode = genHandler(events[name], customModifierCode)
     if (events[name] && events[name].dynamic) {
       dynamicHandlers += `${name},${handlerCode},`
     } else {
@@ -93,13 +109,16 @@ function genWeexHandler (params: Array<any>, handlerCode: string) {
     '}'
 }
 
-function genHandler (handler: ASTElementHandler | Array<ASTElementHandler>): string {
+function genHandler (
+  handler: ASTElementHandler | Array<ASTElementHandler>,
+  customModifierCode?: CustomModifierCode
+): string {
   if (!handler) {
     return 'function(){}'
   }
 
   if (Array.isArray(handler)) {
-    return `[${handler.map(handler => genHandler(handler)).join(',')}]`
+    return `[${handler.map(handler => genHandler(handler, customModifierCode)).join(',')}]`
   }
 
   const isMethodPath = simplePathRE.test(handler.value)
@@ -121,7 +140,11 @@ function genHandler (handler: ASTElementHandler | Array<ASTElementHandler>): str
     let code = ''
     let genModifierCode = ''
     const keys = []
-    for (const key in handler.modifiers) {
+    // modifiers left for Vue.eventModifier() at runtime
+    let runtimeModifiers
+    const modifiers: ASTModifiers = (handler.modifiers: any)
+    for (const key in modifiers) {
+      const arg = modifiers[key]
       if (modifierCode[key]) {
         genModifierCode += modifierCode[key]
         // left/right
@@ -129,15 +152,27 @@ function genHandler (handler: ASTElementHandler | Array<ASTElementHandler>): str
           keys.push(key)
         }
       } else if (key === 'exact') {
-        const modifiers: ASTModifiers = (handler.modifiers: any)
         genModifierCode += genGuard(
           ['ctrl', 'shift', 'alt', 'meta']
             .filter(keyModifier => !modifiers[keyModifier])
             .map(keyModifier => `$event.${keyModifier}Key`)
             .join('||')
         )
+      } else if (customModifierCode && hasOwn(customModifierCode, key)) {
+        const custom = customModifierCode[key]
+        genModifierCode += typeof custom === 'function'
+          ? custom(typeof arg === 'string' ? arg : undefined)
+          : custom
       } else {
-        keys.push(key)
+        // either a config.keyCodes alias or a runtime modifier. Modifiers
+        // registered by the time the template is compiled are left out of
+        // the key filter, _k() skips those registered later.
+        if (typeof arg !== 'string' && !eventModifiers[key]) {
+          keys.push(key)
+        }
+        if (!isBuiltInModifier(key)) {
+          (runtimeModifiers || (runtimeModifiers = {}))[key] = arg
+        }
       }
     }
     if (keys.length) {
@@ -158,7 +193,10 @@ function genHandler (handler: ASTElementHandler | Array<ASTElementHandler>): str
     if (__WEEX__ && handler.params) {
       return genWeexHandler(handler.params, code + handlerCode)
     }
-    return `function($event){${code}${handlerCode}}`
+    const fnCode = `function($event){${code}${handlerCode}}`
+    return runtimeModifiers
+      ? `{handler:${fnCode},modifiers:${JSON.stringify(runtimeModifiers)}}`
+      : fnCode
   }
 }
 
@@ -5,6 +5,7 @@ import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
+import { markSource } from './source-map'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
@@ -16,10 +17,12 @@ export class CodegenState {
   transforms: Array<TransformFunction>;
   dataGenFns: Array<DataGenFunction>;
   directives: { [key: string]: DirectiveFunction };
+  modifierCode: { [key: string]: string | (arg: ?string) => string };
   maybeComponent: (el: ASTElement) => boolean;
   onceId: number;
   staticRenderFns: Array<string>;
   pre: boolean;
+  sourceMap: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -27,11 +30,16 @@ export class CodegenState {
     this.transforms = pluckModuleFunction(options.modules, 'transformCode')
     this.dataGenFns = pluckModuleFunction(options.modules, 'genData')
     this.directives = extend(extend({}, baseDirectives), options.directives)
+    this.modifierCode = {}
+    if (options.modules) {
+      options.modules.forEach(m => extend(this.modifierCode, m.modifierCode))
+    }
     const isReservedTag = options.isReservedTag || no
     this.maybeComponent = (el: ASTElement) => !!el.component || !isReservedTag(el.tag)
     this.onceId = 0
     this.staticRenderFns = []
     this.pre = false
+    this.sourceMap = !!options.sourceMap
   }
 }
 
@@ -92,7 +100,7 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
-    return code
+    return markSource(code, el, state)
   }
 }
 
@@ -150,7 +158,11 @@ export function genIf (
   altEmpty?: string
 ): string {
   el.ifProcessed = true // avoid recursion
-  return genIfConditions(el.ifConditions.slice(), state, altGen, altEmpty)
+  return markSource(
+    genIfConditions(el.ifConditions.slice(), state, altGen, altEmpty),
+    el,
+    state
+  )
 }
 
 function genIfConditions (
@@ -211,10 +223,10 @@ export function genFor (
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  return markSource(`${altHelper || '_l'}((${exp}),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
-    '})'
+    '})', el, state)
 }
 
 export function genData (el: ASTElement, state: CodegenState): string {
@@ -250,18 +262,18 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:${genProps(el.attrs)},`
+    data += `attrs:${genProps(el.attrs, state)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:${genProps(el.props)},`
+    data += `domProps:${genProps(el.props, state)},`
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false)},`
+    data += `${genHandlers(el.events, false, state.modifierCode)},`
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true)},`
+    data += `${genHandlers(el.nativeEvents, true, state.modifierCode)},`
   }
   // slot target
   // only for non-scoped slots
@@ -294,7 +306,7 @@ export function genData (el: ASTElement, state: CodegenState): string {
   // v-bind with dynamic arguments must be applied using the same v-bind object
   // merge helper so that class/style/mustUseProp attrs are handled correctly.
   if (el.dynamicAttrs) {
-    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs)})`
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
   }
   // v-bind data wrap
   if (el.wrapData) {
@@ -325,7 +337,7 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     if (needRuntime) {
       hasRuntime = true
       res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
-        dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
+        dir.value ? `,value:${markSource(`(${dir.value})`, dir, state)},expression:${JSON.stringify(dir.value)}` : ''
       }${
         dir.arg ? `,arg:${dir.isDynamicArg ? dir.arg : `"${dir.arg}"`}` : ''
       }${
@@ -527,27 +539,29 @@ function genNode (node: ASTNode, state: CodegenState): string {
   if (node.type === 1) {
     return genElement(node, state)
   } else if (node.type === 3 && node.isComment) {
-    return genComment(node)
+    return genComment(node, state)
   } else {
-    return genText(node)
+    return genText(node, state)
   }
 }
 
-export function genText (text: ASTText | ASTExpression): string {
-  return `_v(${text.type === 2
+export function genText (text: ASTText | ASTExpression, state?: CodegenState): string {
+  const code = `_v(${text.type === 2
     ? text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
   })`
+  return state ? markSource(code, text, state) : code
 }
 
-export function genComment (comment: ASTText): string {
-  return `_e(${JSON.stringify(comment.text)})`
+export function genComment (comment: ASTText, state?: CodegenState): string {
+  const code = `_e(${JSON.stringify(comment.text)})`
+  return state ? markSource(code, comment, state) : code
 }
 
 function genSlot (el: ASTElement, state: CodegenState): string {
   const slotName = el.slotName || '"default"'
   const children = genChildren(el, state)
-  let res = `_t(${slotName}${children ? `,${children}` : ''}`
+  let res = markSource('_t(', el, state) + `${slotName}${children ? `,${children}` : ''}`
   const attrs = el.attrs || el.dynamicAttrs
     ? genProps((el.attrs || []).concat(el.dynamicAttrs || []).map(attr => ({
         // slot props are camelized
@@ -581,14 +595,17 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<ASTAttr>): string {
+function genProps (props: Array<ASTAttr>, state?: CodegenState): string {
   let staticProps = ``
   let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    const value = __WEEX__
+    let value = __WEEX__
       ? generateValue(prop.value)
       : transformSpecialNewlines(prop.value)
+    if (state) {
+      value = markSource(value, prop, state)
+    }
     if (prop.dynamic) {
       dynamicProps += `${prop.name},${value},`
     } else {
@@ -0,0 +1,147 @@
+/* @flow */
+
+// With the `sourceMap` option, codegen prefixes the code generated for a
+// template node with a marker holding the node's offset in the template,
+// e.g. "\u000012\u0001_c('div')". Once the code is complete the markers are
+// stripped and turned into a source map. NUL characters cannot appear in
+// generated string literals (JSON.stringify escapes them), so the markers
+// never clash with template content.
+
+export type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
+};
+
+const markerRE = /\u0000(\d+)\u0001/g // eslint-disable-line no-control-regex
+
+export function markSource (
+  code: string,
+  node: { start?: number },
+  state: { sourceMap: boolean }
+): string {
+  return state.sourceMap && node.start != null
+    ? `\u0000${node.start}\u0001${code}`
+    : code
+}
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function encodeVLQ (value: number): string {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) {
+      digit |= 32
+    }
+    res += base64[digit]
+  } while (vlq > 0)
+  return res
+}
+
+function getLineStarts (source: string): Array<number> {
+  const starts = [0]
+  for (let i = 0; i < source.length; i++) {
+    if (source.charCodeAt(i) === 10 /* \n */) {
+      starts.push(i + 1)
+    }
+  }
+  return starts
+}
+
+function findLine (lineStarts: Array<number>, offset: number): number {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineStarts[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+/**
+ * Strip the source markers from generated code and build a source map
+ * from it. `offset` is added to the marked offsets, for templates that
+ * were trimmed before parsing.
+ */
+export function extractSourceMap (
+  code: string,
+  source: string,
+  offset: number,
+  filename: string
+): { code: string, map: SourceMap } {
+  const lineStarts = getLineStarts(source)
+  // per generated line: [generated column, source line, source column]
+  const lines: Array<Array<[number, number, number]>> = [[]]
+  let res = ''
+  let column = 0
+  let last = 0
+
+  const append = (text: string) => {
+    res += text
+    const parts = text.split('\n')
+    for (let i = 1; i < parts.length; i++) {
+      lines.push([])
+      column = 0
+    }
+    column += parts[parts.length - 1].length
+  }
+
+  let match
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    append(code.slice(last, match.index))
+    last = markerRE.lastIndex
+    const pos = Number(match[1]) + offset
+    const line = findLine(lineStarts, pos)
+    const segments = lines[lines.length - 1]
+    const prev = segments[segments.length - 1]
+    // nested nodes starting at the same position: the innermost wins
+    if (prev && prev[0] === column) {
+      segments.pop()
+    }
+    segments.push([column, line, pos - lineStarts[line]])
+  }
+  append(code.slice(last))
+
+  // fields are relative to the previous segment, the generated column
+  // only within a line
+  let prevLine = 0
+  let prevColumn = 0
+  let mappings = ''
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0) {
+      mappings += ';'
+    }
+    let prevGenerated = 0
+    mappings += lines[i].map(([generated, sourceLine, sourceColumn]) => {
+      const segment = encodeVLQ(generated - prevGenerated) +
+        encodeVLQ(0) + // index in sources
+        encodeVLQ(sourceLine - prevLine) +
+        encodeVLQ(sourceColumn - prevColumn)
+      prevGenerated = generated
+      prevLine = sourceLine
+      prevColumn = sourceColumn
+      return segment
+    }).join(',')
+  }
+
+  return {
+    code: res,
+    map: {
+      version: 3,
+      sources: [filename],
+      sourcesContent: [source],
+      names: [],
+      mappings
+    }
+  }
+}
@@ -3,8 +3,11 @@
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
 import { createCompileToFunctionFn } from './to-function'
+import { extractSourceMap } from './codegen/source-map'
 
-export function createCompilerCreator (baseCompile: Function): Function {
+// `id` identifies the compiler in the keys of persistent compile caches,
+// so that e.g. the SSR and the client output of a template do not collide.
+export function createCompilerCreator (baseCompile: Function, id?: string): Function {
   return function createCompiler (baseOptions: CompilerOptions) {
     function compile (
       template: string,
@@ -64,12 +67,34 @@ export function createCompilerCreator (baseCompile: Function): Function {
       }
       compiled.errors = errors
       compiled.tips = tips
+      if (finalOptions.sourceMap) {
+        extractSourceMaps(compiled, template, finalOptions.filename)
+      }
       return compiled
     }
 
     return {
       compile,
-      compileToFunctions: createCompileToFunctionFn(compile)
+      compileToFunctions: createCompileToFunctionFn(compile, id)
     }
   }
 }
+
+// move the source markers left by codegen into source maps
+function extractSourceMaps (
+  compiled: CompiledResult,
+  template: string,
+  filename: ?string
+) {
+  // $flow-disable-line
+  const offset = template.match(/^\s*/)[0].length
+  const extract = code => extractSourceMap(code, template, offset, filename || 'anonymous.html')
+  const render = extract(compiled.render)
+  const staticRenderFns = compiled.staticRenderFns.map(extract)
+  compiled.render = render.code
+  compiled.staticRenderFns = staticRenderFns.map(res => res.code)
+  compiled.sourceMaps = {
+    render: render.map,
+    staticRenderFns: staticRenderFns.map(res => res.map)
+  }
+}
@@ -5,7 +5,8 @@ import { parseHTML } from './html-parser'
 import { parseText } from './text-parser'
 import { parseFilters } from './filter-parser'
 import { genAssignmentCode } from '../directives/model'
-import { extend, cached, no, camelize, hyphenate } from 'shared/util'
+import { eventModifiers } from 'shared/event-modifiers'
+import { extend, cached, no, camelize, hyphenate, hasOwn } from 'shared/util'
 import { isIE, isEdge, isServerRendering } from 'core/util/env'
 
 import {
@@ -34,6 +35,7 @@ const argRE = /:(.*)$/
 export const bindRE = /^:|^\.|^v-bind:/
 const propBindRE = /^\./
 const modifierRE = /\.[^.\]]+(?=[^\]]*$)/g
+const numberRE = /^\d+$/
 
 const slotRE = /^v-slot(:|$)|^#/
 
@@ -52,6 +54,7 @@ let delimiters
 let transforms
 let preTransforms
 let postTransforms
+let modifierCode
 let platformIsPreTag
 let platformMustUseProp
 let platformGetTagNamespace
@@ -91,6 +94,10 @@ export function parse (
   transforms = pluckModuleFunction(options.modules, 'transformNode')
   preTransforms = pluckModuleFunction(options.modules, 'preTransformNode')
   postTransforms = pluckModuleFunction(options.modules, 'postTransformNode')
+  modifierCode = {}
+  if (options.modules) {
+    options.modules.forEach(m => extend(modifierCode, m.modifierCode))
+  }
 
   delimiters = options.delimiters
 
@@ -98,6 +105,7 @@ export function parse (
   const preserveWhitespace = options.preserveWhitespace !== false
   const whitespaceOption = options.whitespace
   let root
+  const roots = []
   let currentParent
   let inVPre = false
   let inPre = false
@@ -117,22 +125,24 @@ export function parse (
     }
     // tree management
     if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
+      // chain root elements with v-else-if and v-else to the previous root,
+      // any other root element turns the template into a fragment
+      const prev = roots[roots.length - 1]
+      if (element.elseif || element.else) {
+        if (prev.if) {
+          addIfCondition(prev, {
+            exp: element.elseif,
+            block: element
+          })
+        } else if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `v-${element.elseif ? ('else-if="' + element.elseif + '"') : 'else'} ` +
+            `used on element <${element.tag}> without corresponding v-if.`,
+            element.rawAttrsMap[element.elseif ? 'v-else-if' : 'v-else']
+          )
         }
-        addIfCondition(root, {
-          exp: element.elseif,
-          block: element
-        })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else {
+        roots.push(element)
       }
     }
     if (currentParent && !element.forbidden) {
@@ -184,23 +194,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   // 核心代码：解析HTML，通过stack数组保存入栈出栈的操作
   // <div id="demo">
   //  <p></p>
@@ -292,9 +285,7 @@ export function parse (
 
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
+        roots.push(root)
       }
 
       if (!unary) {
@@ -405,7 +396,23 @@ export function parse (
       }
     }
   })
-  return root
+  return roots.length > 1
+    ? createFragment(roots)
+    : root
+}
+
+/**
+ * Wrap multiple root elements in a <template> that renders them as a
+ * fragment.
+ */
+function createFragment (roots: Array<any>): ASTElement {
+  const fragment = createASTElement('template', [], undefined)
+  fragment.fragment = true
+  fragment.children = roots
+  for (let i = 0; i < roots.length; i++) {
+    roots[i].parent = fragment
+  }
+  return fragment
 }
 
 function processPre (el) {
@@ -774,7 +781,7 @@ function processAttrs (el) {
       // mark element as dynamic
       el.hasBindings = true
       // modifiers
-      modifiers = parseModifiers(name.replace(dirRE, ''))
+      modifiers = parseModifiers(name.replace(dirRE, ''), onRE.test(name))
       // support .foo shorthand syntax for the .prop modifier
       if (process.env.VBIND_PROP_SHORTHAND && propBindRE.test(name)) {
         (modifiers || (modifiers = {})).prop = true
@@ -912,15 +919,33 @@ function checkInFor (el: ASTElement): boolean {
   return false
 }
 
-function parseModifiers (name: string): Object | void {
+function parseModifiers (name: string, isEvent?: boolean): Object | void {
   const match = name.match(modifierRE)
   if (match) {
     const ret = {}
-    match.forEach(m => { ret[m.slice(1)] = true })
+    let last
+    match.forEach(m => {
+      const key = m.slice(1)
+      // v-on: a number after a registered modifier is its argument, e.g.
+      // .debounce.300, while .enter.13 or .page-down.34 stay key filters
+      if (isEvent && last && numberRE.test(key) && isRegisteredModifier(last)) {
+        ret[last] = key
+        last = undefined
+      } else {
+        ret[key] = true
+        last = key
+      }
+    })
     return ret
   }
 }
 
+// modifiers generated by a compiler module, or registered at runtime with
+// Vue.eventModifier() by the time the template is compiled
+function isRegisteredModifier (key: string): boolean {
+  return hasOwn(modifierCode, key) || hasOwn(eventModifiers, key)
+}
+
 function makeAttrsMap (attrs: Array<Object>): Object {
   const map = {}
   for (let i = 0, l = attrs.length; i < l; i++) {
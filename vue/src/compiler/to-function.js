@@ -1,24 +1,149 @@
 /* @flow */
 
 import { noop, extend } from 'shared/util'
-import { warn as baseWarn, tip } from 'core/util/debug'
+import { warn as baseWarn, tip, formatComponentName } from 'core/util/debug'
 import { generateCodeFrame } from './codeframe'
+import { eventModifiers } from 'shared/event-modifiers'
 
 type CompiledFunctionResult = {
   render: Function;
   staticRenderFns: Array<Function>;
 };
 
-function createFunction (code, errors) {
+// compiled output persisted by a CompileCache
+export type CompileCacheEntry = {
+  version: string;
+  render: string;
+  staticRenderFns: Array<string>;
+  sourceMaps?: ?{ render: Object, staticRenderFns: Array<Object> };
+};
+
+// get() is called while compiling, so it has to answer synchronously.
+// async stores are read into memory up front and written through by set().
+export type CompileCache = {
+  get: (key: string) => ?CompileCacheEntry;
+  set: (key: string, entry: CompileCacheEntry) => void;
+};
+
+const version = '__VERSION__'
+
+/**
+ * 53-bit string hash (cyrb53), returned as a hex string.
+ */
+function hash (str: string): string {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16)
+}
+
+// compiler modules and directives change the generated code, so they are
+// part of the key through the source of their functions
+function stringifyOption (key: string, value: any): any {
+  return typeof value === 'function' ? String(value) : value
+}
+
+/**
+ * The key of a template in a persistent cache: a hash of the template,
+ * the compiler that compiled it and the options affecting its output.
+ */
+export function getCompileCacheKey (
+  template: string,
+  options: CompilerOptions,
+  id?: string
+): string {
+  return hash(JSON.stringify([
+    version,
+    id || '',
+    options.delimiters,
+    options.comments,
+    options.whitespace,
+    options.preserveWhitespace,
+    options.scopeId,
+    options.sourceMap,
+    options.filename,
+    options.modules,
+    options.directives,
+    // registered runtime modifiers are left out of key filters
+    Object.keys(eventModifiers).sort(),
+    template
+  ], stringifyOption))
+}
+
+const toBase64 = typeof btoa === 'function'
+  ? (str: string) => btoa(unescape(encodeURIComponent(str)))
+  : (str: string) => Buffer.from(str).toString('base64')
+
+// inline a source map, so that stack traces and debuggers point at the
+// template. `url` names the generated function.
+function withSourceMap (code: string, map: Object, url: string): string {
+  const inlineMap = extend({}, map)
+  // sources are resolved relative to the url
+  inlineMap.sources = map.sources.map(source => source.replace(/^.*[\\/]/, ''))
+  // the body of new Function() starts on the third line
+  inlineMap.mappings = ';;' + map.mappings
+  // split, so that build tools do not take it for this file's source map
+  return `${code}\n//# sourceURL=${url}\n//# ${'sourceMappingURL'}=` +
+    `data:application/json;charset=utf-8;base64,${
+      toBase64(JSON.stringify(inlineMap))
+    }`
+}
+
+function getTemplateFilename (vm: ?Component): string {
+  if (!vm) {
+    return 'anonymous.html'
+  }
+  const file: ?string = (vm.$options: any).__file
+  return file || `${formatComponentName(vm, false).replace(/[<>]/g, '')}.html`
+}
+
+function createFunction (code, errors, map?: ?Object, url?: string) {
   try {
-    return new Function(code)
+    return new Function(map && url ? withSourceMap(code, map, url) : code)
   } catch (err) {
     errors.push({ err, code })
     return noop
   }
 }
 
-export function createCompileToFunctionFn (compile: Function): Function {
+function createFunctions (
+  render: string,
+  staticRenderFns: Array<string>,
+  maps: ?Object,
+  filename: ?string,
+  errors: Array<any>
+): CompiledFunctionResult {
+  return {
+    render: createFunction(
+      render,
+      errors,
+      maps && maps.render,
+      `${String(filename)}.render.js`
+    ),
+    staticRenderFns: staticRenderFns.map((code, i) => createFunction(
+      code,
+      errors,
+      maps && maps.staticRenderFns[i],
+      `${String(filename)}.static-${i}.js`
+    ))
+  }
+}
+
+function warnFnGenErrors (errors: Array<any>, warn: Function, vm: ?Component) {
+  warn(
+    `Failed to generate render function:\n\n` +
+    errors.map(({ err, code }) => `${err.toString()} in\n\n${code}\n`).join('\n'),
+    vm
+  )
+}
+
+export function createCompileToFunctionFn (compile: Function, id?: string): Function {
   const cache = Object.create(null)
 
   return function compileToFunctions (
@@ -29,6 +154,8 @@ export function createCompileToFunctionFn (compile: Function): Function {
     options = extend({}, options)
     const warn = options.warn || baseWarn
     delete options.warn
+    const persistentCache = options.cache
+    delete options.cache
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production') {
@@ -56,6 +183,36 @@ export function createCompileToFunctionFn (compile: Function): Function {
       return cache[key]
     }
 
+    // name the template in source maps
+    if (options.sourceMap && !options.filename) {
+      options.filename = getTemplateFilename(vm)
+    }
+
+    // check the persistent cache, ignoring output of other Vue versions
+    let persistentKey
+    if (persistentCache) {
+      persistentKey = getCompileCacheKey(template, options, id)
+      const entry = persistentCache.get(persistentKey)
+      if (entry && entry.version === version) {
+        const entryErrors = []
+        const res = createFunctions(
+          entry.render,
+          entry.staticRenderFns,
+          entry.sourceMaps,
+          options.filename,
+          entryErrors
+        )
+        if (!entryErrors.length) {
+          return (cache[key] = res)
+        }
+        // a corrupted entry: report it and compile the template again,
+        // which replaces the entry
+        if (process.env.NODE_ENV !== 'production') {
+          warnFnGenErrors(entryErrors, warn, vm)
+        }
+      }
+    }
+
     // compile
     const compiled = compile(template, options)
 
@@ -88,12 +245,14 @@ export function createCompileToFunctionFn (compile: Function): Function {
     }
 
     // turn code into functions
-    const res = {}
     const fnGenErrors = []
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
-    })
+    const res = createFunctions(
+      compiled.render,
+      compiled.staticRenderFns,
+      compiled.sourceMaps,
+      options.filename,
+      fnGenErrors
+    )
 
     // check function generation errors.
     // this should only happen if there is a bug in the compiler itself.
@@ -101,14 +260,20 @@ export function createCompileToFunctionFn (compile: Function): Function {
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production') {
       if ((!compiled.errors || !compiled.errors.length) && fnGenErrors.length) {
-        warn(
-          `Failed to generate render function:\n\n` +
-          fnGenErrors.map(({ err, code }) => `${err.toString()} in\n\n${code}\n`).join('\n'),
-          vm
-        )
+        warnFnGenErrors(fnGenErrors, warn, vm)
       }
     }
 
+    // only output that compiled cleanly is persisted
+    if (persistentCache && persistentKey && !compiled.errors.length && !fnGenErrors.length) {
+      persistentCache.set(persistentKey, {
+        version,
+        render: compiled.render,
+        staticRenderFns: compiled.staticRenderFns,
+        sourceMaps: compiled.sourceMaps
+      })
+    }
+
     return (cache[key] = res)
   }
 }
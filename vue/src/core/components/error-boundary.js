@@ -0,0 +1,62 @@
+/* @flow */
+
+import { getSingleChild } from 'core/vdom/helpers/index'
+
+export function isErrorBoundary (vm: Component): boolean {
+  return vm._isErrorBoundary === true
+}
+
+export default {
+  name: 'error-boundary',
+  abstract: true,
+
+  props: {
+    // also pass captured errors on to parent errorCaptured hooks and
+    // config.errorHandler
+    propagate: Boolean
+  },
+
+  data () {
+    return {
+      error: null,
+      info: ''
+    }
+  },
+
+  created () {
+    this._isErrorBoundary = true
+  },
+
+  errorCaptured (err: Error, vm: Component, info: string) {
+    // errors thrown by the fallback itself are left to outer boundaries
+    if (this.error) {
+      return
+    }
+    this.error = err
+    this.info = info
+    this.$emit('error', err, vm, info)
+    if (!this.propagate) {
+      return false
+    }
+  },
+
+  methods: {
+    // clear the error and mount the default slot again
+    reset () {
+      this.error = null
+      this.info = ''
+    }
+  },
+
+  render () {
+    if (this.error) {
+      const fallback = this.$scopedSlots.fallback
+      return fallback && getSingleChild(this, fallback({
+        error: this.error,
+        info: this.info,
+        reset: this.reset
+      }), 'fallback', 'error-boundary')
+    }
+    return getSingleChild(this, this.$slots.default, 'default', 'error-boundary')
+  }
+}
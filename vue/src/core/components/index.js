@@ -1,5 +1,7 @@
 import KeepAlive from './keep-alive'
+import ErrorBoundary from './error-boundary'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  ErrorBoundary
 }
@@ -1,14 +1,62 @@
 /* @flow */
 
-import { isRegExp, remove } from 'shared/util'
+import { isRegExp, remove, extend } from 'shared/util'
 import { getFirstComponentChild } from 'core/vdom/helpers/index'
 
 type VNodeCache = { [key: string]: ?VNode };
 
+type CacheEntryMetadata = {
+  key: string;
+  name: ?string;
+  createdAt: number;
+  lastAccessedAt: number;
+  accessCount: number;
+  size: number;
+};
+
+type PruneReason = 'max' | 'maxMemory' | 'ttl' | 'filter' | 'evict' | 'clear';
+
 function getComponentName (opts: ?VNodeComponentOptions): ?string {
   return opts && (opts.Ctor.options.name || opts.tag)
 }
 
+/**
+ * The name include/exclude are matched against. This is the component
+ * name by default, the value of a component option when matchBy is a
+ * string, or the return value of matchBy when it is a function.
+ */
+function getMatchName (
+  keepAliveInstance: any,
+  vnode: VNode,
+  opts: VNodeComponentOptions
+): ?string {
+  const { matchBy } = keepAliveInstance
+  if (typeof matchBy === 'function') {
+    return matchBy(vnode, opts)
+  } else if (matchBy) {
+    return opts.Ctor.options[matchBy]
+  }
+  return getComponentName(opts)
+}
+
+function getCacheKey (
+  keepAliveInstance: any,
+  vnode: VNode,
+  opts: VNodeComponentOptions
+): string | number {
+  const key = keepAliveInstance.cacheKey
+    ? keepAliveInstance.cacheKey(vnode, opts)
+    : null
+  if (key != null) {
+    return key
+  }
+  return vnode.key == null
+    // same constructor may get registered as different local components
+    // so cid alone is not enough (#3269)
+    ? opts.Ctor.cid + (opts.tag ? `::${opts.tag}` : '')
+    : vnode.key
+}
+
 function matches (pattern: string | RegExp | Array<string>, name: string): boolean {
   if (Array.isArray(pattern)) {
     return pattern.indexOf(name) > -1
@@ -22,13 +70,14 @@ function matches (pattern: string | RegExp | Array<string>, name: string): boole
 }
 
 function pruneCache (keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance
+  const { cache, meta } = keepAliveInstance
   for (const key in cache) {
-    const cachedNode: ?VNode = cache[key]
-    if (cachedNode) {
-      const name: ?string = getComponentName(cachedNode.componentOptions)
+    if (cache[key]) {
+      // the name is resolved when the entry is cached, since matchBy may
+      // depend on state that has changed since
+      const name: ?string = meta[key].name
       if (name && !filter(name)) {
-        pruneCacheEntry(cache, key, keys, _vnode)
+        pruneEntry(keepAliveInstance, key, 'filter')
       }
     }
   }
@@ -41,13 +90,137 @@ function pruneCacheEntry (
   current?: VNode
 ) {
   const cached = cache[key]
-  if (cached && (!current || cached.tag !== current.tag)) {
+  if (cached && current && cached.componentInstance === current.componentInstance) {
+    // the rendered instance can not be destroyed yet, but it must not be
+    // kept alive either: it is destroyed once it is switched out
+    current.data.keepAlive = false
+  } else if (cached) {
     cached.componentInstance.$destroy()
   }
   cache[key] = null
   remove(keys, key)
 }
 
+/**
+ * Prune an entry on behalf of a keep-alive instance, keeping its metadata
+ * and expiry timers in sync, and emit a "prune" event.
+ */
+function pruneEntry (keepAliveInstance: any, key: string, reason: PruneReason) {
+  const { cache, keys, meta, _vnode } = keepAliveInstance
+  const metadata: ?CacheEntryMetadata = meta[key]
+  clearExpiry(keepAliveInstance, key)
+  pruneCacheEntry(cache, key, keys, _vnode)
+  delete meta[key]
+  keepAliveInstance.$emit('prune', { key, reason, metadata })
+}
+
+function scheduleExpiry (keepAliveInstance: any, key: string) {
+  const ttl = parseInt(keepAliveInstance.ttl)
+  if (ttl > 0) {
+    clearExpiry(keepAliveInstance, key)
+    keepAliveInstance.timers[key] = setTimeout(() => {
+      delete keepAliveInstance.timers[key]
+      if (keepAliveInstance.cache[key] && keepAliveInstance.activeKey !== key) {
+        pruneEntry(keepAliveInstance, key, 'ttl')
+      }
+    }, ttl)
+  }
+}
+
+function clearExpiry (keepAliveInstance: any, key: string) {
+  const timer = keepAliveInstance.timers[key]
+  if (timer) {
+    clearTimeout(timer)
+    delete keepAliveInstance.timers[key]
+  }
+}
+
+/**
+ * Mark the entry being rendered as active. The previously active entry
+ * starts expiring, if a ttl is set.
+ */
+function setActiveKey (keepAliveInstance: any, key: ?string) {
+  const prevKey = keepAliveInstance.activeKey
+  if (prevKey === key) {
+    return
+  }
+  keepAliveInstance.activeKey = key
+  if (key) {
+    clearExpiry(keepAliveInstance, key)
+  }
+  if (prevKey && keepAliveInstance.cache[prevKey]) {
+    scheduleExpiry(keepAliveInstance, prevKey)
+  }
+}
+
+// the number of DOM nodes is used as a rough estimate of memory usage
+function estimateSize (vm: Component): number {
+  const el: any = vm.$el
+  return el && el.getElementsByTagName
+    ? el.getElementsByTagName('*').length + 1
+    : 1
+}
+
+/**
+ * Measure the active entry once it has been patched, then prune least
+ * recently used entries until the cache fits in maxMemory.
+ */
+function pruneCacheByMemory (keepAliveInstance: any) {
+  const { cache, keys, meta, activeKey } = keepAliveInstance
+  const active: ?VNode = activeKey ? cache[activeKey] : null
+  if (active && active.componentInstance) {
+    const sizeOf: (vm: Component, key: string) => number =
+      keepAliveInstance.sizeOf || estimateSize
+    meta[activeKey].size = sizeOf(active.componentInstance, activeKey)
+  }
+  const maxMemory = parseInt(keepAliveInstance.maxMemory)
+  if (maxMemory > 0) {
+    let total = 0
+    for (let i = 0; i < keys.length; i++) {
+      total += meta[keys[i]].size
+    }
+    let i = 0
+    while (total > maxMemory && i < keys.length) {
+      const key = keys[i]
+      if (key === activeKey) {
+        i++
+      } else {
+        total -= meta[key].size
+        pruneEntry(keepAliveInstance, key, 'maxMemory')
+      }
+    }
+  }
+}
+
+/**
+ * The public interface to a keep-alive cache, available as the
+ * `controller` property of the keep-alive instance (e.g. via a ref).
+ */
+function createCacheController (keepAliveInstance: any): Object {
+  return {
+    evict (key: string): boolean {
+      if (keepAliveInstance.cache[key]) {
+        pruneEntry(keepAliveInstance, key, 'evict')
+        return true
+      }
+      return false
+    },
+    clear () {
+      const keys = keepAliveInstance.keys.slice()
+      for (let i = 0; i < keys.length; i++) {
+        pruneEntry(keepAliveInstance, keys[i], 'clear')
+      }
+    },
+    keys (): Array<string> {
+      return keepAliveInstance.keys.slice()
+    },
+    getMetadata (key: string): ?CacheEntryMetadata {
+      const metadata = keepAliveInstance.meta[key]
+      return metadata ? extend({}, metadata) : undefined
+    }
+  }
+}
+
 const patternTypes: Array<Function> = [String, RegExp, Array]
 
 export default {
@@ -57,21 +230,34 @@ export default {
   props: {
     include: patternTypes,
     exclude: patternTypes,
-    max: [String, Number]
+    max: [String, Number],
+    matchBy: [String, Function],
+    cacheKey: Function,
+    maxMemory: [String, Number],
+    sizeOf: Function,
+    ttl: [String, Number]
   },
 
   created () {
+    this.controller = createCacheController(this)
     this.cache = Object.create(null)
     this.keys = []
+    this.meta = Object.create(null)
+    this.timers = Object.create(null)
+    this.activeKey = null
   },
 
   destroyed () {
+    for (const key in this.timers) {
+      clearTimeout(this.timers[key])
+    }
     for (const key in this.cache) {
       pruneCacheEntry(this.cache, key, this.keys)
     }
   },
 
   mounted () {
+    pruneCacheByMemory(this)
     this.$watch('include', val => {
       pruneCache(this, name => matches(val, name))
     })
@@ -80,13 +266,17 @@ export default {
     })
   },
 
+  updated () {
+    pruneCacheByMemory(this)
+  },
+
   render () {
     const slot = this.$slots.default
     const vnode: VNode = getFirstComponentChild(slot)
     const componentOptions: ?VNodeComponentOptions = vnode && vnode.componentOptions
     if (componentOptions) {
       // check pattern
-      const name: ?string = getComponentName(componentOptions)
+      const name: ?string = getMatchName(this, vnode, componentOptions)
       const { include, exclude } = this
       if (
         // not included
@@ -94,28 +284,44 @@ export default {
         // excluded
         (exclude && name && matches(exclude, name))
       ) {
+        setActiveKey(this, null)
         return vnode
       }
 
-      const { cache, keys } = this
-      const key: ?string = vnode.key == null
-        // same constructor may get registered as different local components
-        // so cid alone is not enough (#3269)
-        ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
-        : vnode.key
+      const { cache, keys, meta } = this
+      const now = Date.now()
+      const key: any = getCacheKey(this, vnode, componentOptions)
+      if (this.cacheKey && vnode.key == null) {
+        // entries with different custom keys must not be patched into
+        // each other, so the cache key also becomes the vnode key
+        vnode.key = key
+      }
       if (cache[key]) {
         vnode.componentInstance = cache[key].componentInstance
         // make current key freshest
         remove(keys, key)
         keys.push(key)
+        if (this.activeKey !== key) {
+          meta[key].accessCount++
+        }
+        meta[key].lastAccessedAt = now
       } else {
         cache[key] = vnode
         keys.push(key)
+        meta[key] = {
+          key,
+          name,
+          createdAt: now,
+          lastAccessedAt: now,
+          accessCount: 1,
+          size: 0
+        }
         // prune oldest entry
         if (this.max && keys.length > parseInt(this.max)) {
-          pruneCacheEntry(cache, keys[0], keys, this._vnode)
+          pruneEntry(this, keys[0], 'max')
         }
       }
+      setActiveKey(this, key)
 
       vnode.data.keepAlive = true
     }
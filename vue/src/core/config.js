@@ -20,8 +20,16 @@ export type Config = {
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  hydrationMismatchHandler: ?(report: Object, vm: ?Component) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivityMode: 'defineProperty' | 'proxy';
+  flushBudget: number;
+  templateSourceMaps: boolean;
+  compileCache: ?{
+    get: (key: string) => ?Object;
+    set: (key: string, entry: Object) => void;
+  };
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -76,6 +84,14 @@ export default ({
    */
   warnHandler: null,
 
+  /**
+   * Receives a report for each hydration mismatch: the category, the DOM
+   * path, the component and the expected vs actual node. Also called in
+   * production, where the extra checks only run while a handler is set and
+   * only report: hydration keeps going as it would without a handler.
+   */
+  hydrationMismatchHandler: null,
+
   /**
    * Ignore certain custom elements
    */
@@ -87,6 +103,38 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How data is made reactive. 'proxy' observes objects through ES2015
+   * Proxies so that added/deleted keys and array index/length writes are
+   * detected without Vue.set/Vue.delete. Only affects objects observed
+   * after the option is changed.
+   */
+  reactivityMode: 'defineProperty',
+
+  /**
+   * Time budget in milliseconds for a single scheduler flush. When the
+   * budget is used up, the remaining watchers are run in a later task so
+   * that the browser can handle input and paint. 0 disables time slicing.
+   * `nextTick` callbacks wait until a sliced flush is complete.
+   */
+  flushBudget: 0,
+
+  /**
+   * Inline source maps into render functions compiled from templates at
+   * runtime, so that stack traces and debuggers point at the template.
+   * Development builds only. The maps embed the template source.
+   */
+  templateSourceMaps: false,
+
+  /**
+   * A persistent cache for templates compiled at runtime, e.g. backed by
+   * localStorage or a file. get/set are called with a hash of the template
+   * and the compiler version, so entries of other versions are not reused.
+   * get() is synchronous: an async store such as IndexedDB has to be read
+   * into memory before the app mounts, with set() writing through to it.
+   */
+  compileCache: null,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
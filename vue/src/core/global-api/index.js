@@ -9,13 +9,31 @@ import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import { eventModifiers } from 'shared/event-modifiers'
+import { profiler } from '../util/profiler'
+import { reactive, ref, isRef, computed, watchEffect } from '../observer/reactivity'
+import { effectScope, getCurrentScope, onScopeDispose } from '../observer/effect-scope'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch
+} from '../instance/setup'
 
 import {
   warn,
   extend,
   nextTick,
   mergeOptions,
-  defineReactive
+  defineReactive,
+  addErrorReporter
 } from '../util/index'
 
 export function initGlobalAPI (Vue: GlobalAPI) {
@@ -46,12 +64,53 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.delete = del
   Vue.nextTick = nextTick
 
+  // register, retrieve or (with null) unregister a runtime v-on modifier.
+  // register it before compiling templates that pass it an argument, e.g.
+  // .debounce.300, or the number is parsed as a key code.
+  Vue.eventModifier = (name: string, wrap?: ?Function): ?Function => {
+    if (wrap === null) {
+      delete eventModifiers[name]
+    } else if (!wrap) {
+      return eventModifiers[name]
+    } else {
+      eventModifiers[name] = wrap
+    }
+  }
+  Vue.addErrorReporter = addErrorReporter
+
+  // collect init, compile, render, patch, watcher and nextTick timings
+  Vue.profiler = profiler
+
   // 2.6 explicit observable API
   Vue.observable = <T>(obj: T): T => {
-    observe(obj)
-    return obj
+    const ob = observe(obj)
+    // in proxy mode only the proxy is reactive
+    return ob && ob.proxy ? (ob.proxy: any) : obj
   }
 
+  // standalone reactivity API, usable without a component instance
+  Vue.reactive = reactive
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.computed = computed
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  // lifecycle registration for the setup() option
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     // 三个空对象创建
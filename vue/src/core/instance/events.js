@@ -180,7 +180,7 @@ export function eventsMixin (Vue: Class<Component>) {
       const info = `event handler for "${event}"`
       // 从第二个参数开始获取作为触发方法的传参 args，遍历事件监听器数组传参执行回调函数
       for (let i = 0, l = cbs.length; i < l; i++) {
-        invokeWithErrorHandling(cbs[i], vm, args, vm, info)
+        invokeWithErrorHandling(cbs[i], vm, args, vm, info, 'EVENT_HANDLER')
       }
     }
     return vm
@@ -10,6 +10,7 @@ import { initState } from './state'
 import { initRender } from './render'
 import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
+import { profiling, now, recordProfile } from '../util/profiler'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
@@ -26,6 +27,7 @@ export function initMixin (Vue: Class<Component>) {
     vm._uid = uid++
 
     let startTag, endTag
+    const profileStart = profiling ? now() : 0
     // performance设置为 true 以在浏览器开发工具的性能/时间线面板中启用对组件初始化、编译、渲染和打补丁的性能追踪。
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
@@ -93,6 +95,9 @@ export function initMixin (Vue: Class<Component>) {
       mark(endTag)
       measure(`vue ${vm._name} init`, startTag, endTag)
     }
+    if (profiling) {
+      recordProfile('init', vm, profileStart)
+    }
 
     // 如果options中设置了el, 则调用$mount开始挂载
     // $mount在最外层runtime中定义，根据平台不同有实现区别
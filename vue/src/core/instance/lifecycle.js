@@ -12,6 +12,7 @@
 import config from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
+import { profiling, now, recordProfile } from '../util/profiler'
 import { createEmptyVNode } from '../vdom/vnode'
 import { updateComponentListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
@@ -24,7 +25,8 @@ import {
   remove,
   emptyObject,
   validateProp,
-  invokeWithErrorHandling
+  invokeWithErrorHandling,
+  getHookErrorCode
 } from '../util/index'
 
 // 正在进行操作的vm实例, 属于公共资源，全局属性
@@ -88,6 +90,7 @@ export function lifecycleMixin (Vue: Class<Component>) {
   // _update方法接收一个VNode，之后通过调用__patch__方法，把VNode渲染成真实的DOM
   Vue.prototype._update = function (vnode: VNode, hydrating?: boolean) {
     const vm: Component = this
+    const profileStart = profiling ? now() : 0
     // 定义变量为数据改变时调用，首次挂载时为空。
     const prevEl = vm.$el
     // 前一个 vnode
@@ -110,6 +113,9 @@ export function lifecycleMixin (Vue: Class<Component>) {
       vm.$el = vm.__patch__(prevVnode, vnode)
     }
     restoreActiveInstance()
+    if (profiling) {
+      recordProfile('patch', vm, profileStart)
+    }
     // update __vue__ reference
     if (prevEl) {
       prevEl.__vue__ = null
@@ -168,6 +174,7 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    vm._scope.stop()
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -279,7 +286,8 @@ export function mountComponent (
   // 实例化一个渲染Watcher
   // 这里把 updateComponent 作为 Watcher 的 getter; callBack 为 noop; options 里只定义了 一个 before 函数
   // before 函数里定义了 beforeUpdate 生命周期钩子
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
+    priority: vm.$options.priority,
     // 在 core/observer/scheduler.js 中的 flushSchedulerQueue 方法判断执行
     before () {
       // 如果是已经挂载的，就触发beforeUpdate方法。
@@ -288,7 +296,16 @@ export function mountComponent (
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -432,7 +449,7 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
 // @param hook 调用的生命周期名称
 // 生命周期方法都存于组件的$options中
 // 最终执行生命周期的函数都是调用 callHook 方法
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
   // 根据传入的字符串 hook，去拿到 vm.$options[hook] 对应的回调函数数组
@@ -442,7 +459,7 @@ export function callHook (vm: Component, hook: string) {
   if (handlers) {
     // 遍历执行，执行的时候把 vm 作为函数执行的上下文
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info, getHookErrorCode(hook))
     }
   }
   // 在Vue当中，hooks可以作为一种event，在Vue的源码当中，称之为hookEvent。
@@ -1,7 +1,7 @@
 /* not type checking this file because flow doesn't play well with Proxy */
 
 import config from 'core/config'
-import { warn, makeMap, isNative } from '../util/index'
+import { warn, makeMap, hasProxy } from '../util/index'
 
 let initProxy
 
@@ -34,10 +34,6 @@ if (process.env.NODE_ENV !== 'production') {
     )
   }
 
-  // 原生是否存在且支持Proxy代理
-  const hasProxy =
-    typeof Proxy !== 'undefined' && isNative(Proxy)
-
   if (hasProxy) {
     const isBuiltInModifier = makeMap('stop,prevent,self,ctrl,shift,alt,meta,exact')
     config.keyCodes = new Proxy(config.keyCodes, {
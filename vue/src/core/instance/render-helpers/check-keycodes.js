@@ -2,6 +2,7 @@
 
 import config from 'core/config'
 import { hyphenate } from 'shared/util'
+import { eventModifiers } from 'shared/event-modifiers'
 
 function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
   if (Array.isArray(expect)) {
@@ -23,6 +24,11 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
+  // not a key, but a modifier registered with Vue.eventModifier() after
+  // the template was compiled
+  if (eventModifiers[key] && !config.keyCodes[key]) {
+    return false
+  }
   const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
   if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
@@ -16,10 +16,12 @@ import {
 } from '../util/index'
 
 import { createElement } from '../vdom/create-element'
+import { profiling, now, recordProfile } from '../util/profiler'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -108,6 +110,7 @@ export function renderMixin (Vue: Class<Component>) {
   // 它用来把实例渲染成一个虚拟 Node
   Vue.prototype._render = function (): VNode {
     const vm: Component = this
+    const profileStart = profiling ? now() : 0
     // 从vm.$options拿到render函数，这里render可以是用户自己写，也可以通过编译生成
     // _parentVnode 父级 Vnode, 即组件占位 vnode
     const { render, _parentVnode } = vm.$options
@@ -134,9 +137,12 @@ export function renderMixin (Vue: Class<Component>) {
       // vm._renderProxy为render函数执行的上下文，在生产环境vm._renderProxy就是vm
       // 在生产环境是一个proxy对象
       // vm.$createElement是在initRender时定义的函数
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // render nothing until an async setup() has resolved
+      vnode = vm._setupPending
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
-      handleError(e, vm, `render`)
+      handleError(e, vm, `render`, 'RENDER')
       // return error render result,
       // or previous vnode to prevent render error causing blank component
       /* istanbul ignore else */
@@ -145,7 +151,7 @@ export function renderMixin (Vue: Class<Component>) {
           // 如果生成失败，会试着生成 renderError 方法
           vnode = vm.$options.renderError.call(vm._renderProxy, vm.$createElement, e)
         } catch (e) {
-          handleError(e, vm, `renderError`)
+          handleError(e, vm, `renderError`, 'RENDER_ERROR')
           vnode = vm._vnode
         }
       } else {
@@ -154,26 +160,26 @@ export function renderMixin (Vue: Class<Component>) {
     } finally {
       currentRenderingInstance = null
     }
-    // if the returned array contains only a single node, allow it
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // multiple root nodes are rendered as a fragment, a single one is
+    // used as is
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      vnode = children.length > 1
+        ? createFragmentVNode(children)
+        : children[0]
     }
     // return empty vnode in case the render function errored out
     // 返回空vnode避免render方法报错退出
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       // 如果vnode为空，则为vnode传一个空的VNode
       vnode = createEmptyVNode()
     }
     // set parent
     // 父级Vnode,即组件占位 vnode
     vnode.parent = _parentVnode
+    if (profiling) {
+      recordProfile('render', vm, profileStart)
+    }
     // 最后返回vnode对象
     return vnode
   }
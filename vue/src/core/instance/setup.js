@@ -0,0 +1,185 @@
+/* @flow */
+
+import { pushTarget, popTarget } from '../observer/dep'
+import { isRef } from '../observer/reactivity'
+import { trackPending } from './suspense'
+
+import {
+  warn,
+  hasOwn,
+  isObject,
+  isReserved,
+  isPromise,
+  noop,
+  handleError,
+  invokeWithErrorHandling
+} from '../util/index'
+
+let currentInstance: ?Component = null
+
+/**
+ * The component whose setup() is currently running.
+ */
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
+/**
+ * Run the setup() option after props are resolved and before data,
+ * computed and watch are initialized.
+ */
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (!setup) {
+    return
+  }
+  const ctx = vm._setupContext = createSetupContext(vm)
+
+  const prevInstance = currentInstance
+  currentInstance = vm
+  // setup() is not a render effect, so don't track its reads
+  pushTarget()
+  const setupResult = vm._scope.run(() => invokeWithErrorHandling(
+    setup,
+    null,
+    [vm._props || {}, ctx],
+    vm,
+    'setup',
+    'SETUP'
+  ))
+  popTarget()
+  currentInstance = prevInstance
+
+  if (isPromise(setupResult)) {
+    // async setup(): the component renders nothing until the promise
+    // resolves, and the closest <suspense> waits for it. When it rejects,
+    // the component keeps rendering nothing: the rejection is reported
+    // like other errors, so e.g. an <error-boundary> can render a fallback.
+    vm._setupPending = true
+    const promise = vm._setupPromise = setupResult.then(result => {
+      if (vm._isDestroyed) {
+        return
+      }
+      vm._setupPending = false
+      try {
+        applySetupResult(vm, result)
+        vm.$forceUpdate()
+      } catch (e) {
+        handleError(e, vm, 'setup', 'SETUP')
+      }
+    })
+    const done = trackPending(vm.$options.parent, vm)
+    if (done) {
+      promise.then(done, done)
+    } else {
+      // rejections are already reported by invokeWithErrorHandling
+      promise.catch(noop)
+    }
+  } else {
+    applySetupResult(vm, setupResult)
+  }
+}
+
+function applySetupResult (vm: Component, setupResult: any) {
+  if (typeof setupResult === 'function') {
+    // setup() returned a render function
+    vm.$options.render = setupResult
+  } else if (isObject(setupResult)) {
+    if (process.env.NODE_ENV !== 'production' && setupResult._isVue) {
+      warn('setup() should not return a Vue instance.', vm)
+      return
+    }
+    vm._setupState = setupResult
+    for (const key in setupResult) {
+      if (isReserved(key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `Avoid using variables that start with _ or $ in setup(): "${key}".`,
+          vm
+        )
+      } else if (vm._props && hasOwn(vm._props, key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `The setup binding "${key}" is already declared as a prop.`,
+          vm
+        )
+      } else {
+        proxyWithRefUnwrap(vm, setupResult, key)
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object or a render function. Received: ${
+        setupResult === null ? 'null' : typeof setupResult
+      }`,
+      vm
+    )
+  }
+}
+
+/**
+ * Expose a setup binding on the instance. Refs are unwrapped so that
+ * templates can use them like data properties.
+ */
+function proxyWithRefUnwrap (vm: Component, source: Object, key: string) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const val = source[key]
+      return isRef(val) ? val.value : val
+    },
+    set: val => {
+      const oldVal = source[key]
+      if (isRef(oldVal) && !isRef(val)) {
+        oldVal.value = val
+      } else {
+        source[key] = val
+      }
+    }
+  })
+}
+
+function createSetupContext (vm: Component): Object {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit: (event: string, ...args: Array<mixed>) => vm.$emit(event, ...args)
+  }
+}
+
+/**
+ * Register a lifecycle hook on the instance currently running setup().
+ * The hook is appended to the instance's own $options, so it is invoked
+ * by callHook after any hooks declared in the component options.
+ */
+function createLifecycleHook (hook: string): (fn: Function) => void {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (!vm) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `${hook} lifecycle hook can only be registered during setup().`
+      )
+      return
+    }
+    const options: any = vm.$options
+    // $options may inherit hook arrays from the constructor, never mutate them
+    options[hook] = options[hook] ? options[hook].concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createLifecycleHook('beforeMount')
+export const onMounted = createLifecycleHook('mounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate')
+export const onUpdated = createLifecycleHook('updated')
+export const onBeforeUnmount = createLifecycleHook('beforeDestroy')
+export const onUnmounted = createLifecycleHook('destroyed')
+export const onActivated = createLifecycleHook('activated')
+export const onDeactivated = createLifecycleHook('deactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured')
+export const onServerPrefetch = createLifecycleHook('serverPrefetch')
@@ -11,6 +11,8 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
+import { EffectScope } from '../observer/effect-scope'
 
 import {
   set,
@@ -24,6 +26,7 @@ import {
   warn,
   bind,
   noop,
+  extend,
   hasOwn,
   hyphenate,
   isReserved, // Check if a string starts with $ or _
@@ -66,11 +69,15 @@ export function proxy (target: Object, sourceKey: string, key: string) {
 export function initState (vm: Component) {
   // 设置实例上的_watchers数组用来存储之后生成的watcher实例
   vm._watchers = []
+  // effects created by setup() that are not bound to the instance
+  vm._scope = new EffectScope(true /* detached */)
   const opts = vm.$options
 
   // 属性初始化
   // props初始化
   if (opts.props) initProps(vm, opts.props)
+  // setup() runs once props are available, before the other options
+  initSetup(vm)
   // methods初始化
   if (opts.methods) initMethods(vm, opts.methods)
   // data没传也需要初始化，设为空对象{}，执行监测
@@ -207,6 +214,12 @@ function initData (vm: Component) {
         `Use prop default value instead.`,
         vm
       )
+    } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+      // setup bindings are not overridden, like computed properties
+      process.env.NODE_ENV !== 'production' && warn(
+        `The data property "${key}" is already declared as a setup binding.`,
+        vm
+      )
     } else if (!isReserved(key)) {
       // isReserved检测key是不是以$或_开头，只有非保留的属性，才执行proxy重新设置defineProperty
       // 真正代理数据的地方，访问data的属性，实际访问的是_data的属性，外部也可以直接访问_data，但不建议，下划线开头一般是内部属性或方法
@@ -215,7 +228,12 @@ function initData (vm: Component) {
   }
   // observe data
   // 响应式操作，开始观察数据，数据遍历开始
-  observe(data, true /* asRootData */)
+  const ob = observe(data, true /* asRootData */)
+  // in proxy mode the root data is only reactive when accessed through
+  // its proxy, so the instance proxies above must read from it
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
 }
 
 // 若options.data是对象，用该函数封装获取data过程
@@ -226,7 +244,7 @@ export function getData (data: Function, vm: Component): any {
   try {
     return data.call(vm, vm)
   } catch (e) {
-    handleError(e, vm, `data()`)
+    handleError(e, vm, `data()`, 'DATA')
     return {}
   } finally {
     popTarget()
@@ -274,7 +292,9 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({ onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }, computedWatcherOptions)
+          : computedWatcherOptions
       )
     }
 
@@ -289,6 +309,8 @@ function initComputed (vm: Component, computed: Object) {
         warn(`The computed property "${key}" is already defined in data.`, vm)
       } else if (vm.$options.props && key in vm.$options.props) {
         warn(`The computed property "${key}" is already defined as a prop.`, vm)
+      } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+        warn(`The computed property "${key}" is already defined as a setup binding.`, vm)
       }
     }
   }
@@ -403,6 +425,15 @@ function initMethods (vm: Component, methods: Object) {
         )
       }
     }
+    // setup bindings are not overridden: assigning would go through the
+    // binding's setter and write the method into the setup state
+    if (vm._setupState && hasOwn(vm._setupState, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Method "${key}" has already been defined as a setup binding.`,
+        vm
+      )
+      continue
+    }
     // method如果是null, 设为空函数
     // 否则绑定this到vm, 加到实例上
     vm[key] = typeof methods[key] !== 'function' ? noop : bind(methods[key], vm)
@@ -505,7 +536,7 @@ export function stateMixin (Vue: Class<Component>) {
       try {
         cb.call(vm, watcher.value)
       } catch (error) {
-        handleError(error, vm, `callback for immediate watcher "${watcher.expression}"`)
+        handleError(error, vm, `callback for immediate watcher "${watcher.expression}"`, 'WATCHER_CALLBACK')
       }
     }
 
@@ -0,0 +1,67 @@
+/* @flow */
+
+// Pending work tracked by the closest <suspense> component, which the web
+// runtime provides. Without one, nothing is tracked.
+
+import { remove } from '../util/index'
+
+function findSuspense (vm: ?Component): ?Component {
+  while (vm) {
+    if (vm._isSuspense) {
+      return vm
+    }
+    vm = vm.$options.parent
+  }
+}
+
+/**
+ * Register pending work (an async component factory or an instance whose
+ * setup() returned a promise) with the closest <suspense> at or above vm.
+ * Returns a function to call once the work has settled, or nothing when
+ * there is no suspense or the work is already tracked.
+ */
+export function trackPending (vm: ?Component, key: any): ?Function {
+  const suspense: any = findSuspense(vm)
+  if (!suspense || suspense._isDestroyed) {
+    return
+  }
+  const keys = suspense._pendingKeys
+  if (keys.indexOf(key) > -1) {
+    return
+  }
+  keys.push(key)
+  if (keys.length === 1) {
+    suspense.$emit('pending')
+  }
+  suspense.pending = keys.length
+  return () => {
+    if (keys.indexOf(key) < 0) {
+      return
+    }
+    remove(keys, key)
+    suspense.pending = keys.length
+    if (!keys.length) {
+      // emit after the resolved tree has been swapped in
+      suspense.$nextTick(() => {
+        if (!keys.length) {
+          suspense.$emit('resolve')
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Called when a vnode created from an async factory is patched in, with
+ * the instance being patched.
+ */
+export function trackAsyncFactory (factory: Function, vm: ?Component) {
+  // only factories that are still loading
+  if (factory.owners === undefined || factory.resolved !== undefined || factory.error === true) {
+    return
+  }
+  const done = trackPending(vm, factory)
+  if (done) {
+    (factory.settledCbs || (factory.settledCbs = [])).push(done)
+  }
+}
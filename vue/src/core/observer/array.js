@@ -10,7 +10,7 @@ const arrayProto = Array.prototype
 export const arrayMethods = Object.create(arrayProto)
 
 // 能够改变数组的7个方法，即数组需要劫持的方法
-const methodsToPatch = [
+export const methodsToPatch = [
   'push',
   'pop',
   'shift',
@@ -48,7 +48,11 @@ methodsToPatch.forEach(function (method) {
     if (inserted) ob.observeArray(inserted)
     // notify change
     // 通知更新
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, key: method, type: 'array mutation' })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
@@ -0,0 +1,205 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on collection prototypes
+ */
+
+import { def, hasProto, toRawType } from '../util/index'
+import { observe } from './index'
+import { toRaw } from './proxy'
+
+/**
+ * Read a value out of a collection: depend on its observer like a
+ * reactive getter would, and hand out the proxy in proxy mode.
+ */
+function toReactive (value) {
+  const ob = observe(value)
+  if (ob) {
+    ob.dep.depend()
+    return ob.proxy || value
+  }
+  return value
+}
+
+function track (collection, type, key) {
+  collection.__ob__.dep.depend(
+    process.env.NODE_ENV !== 'production'
+      ? { target: collection, key, type }
+      : undefined
+  )
+}
+
+function trigger (collection, type, key) {
+  if (process.env.NODE_ENV !== 'production') {
+    collection.__ob__.dep.notify({ target: collection, key, type })
+  } else {
+    collection.__ob__.dep.notify()
+  }
+}
+
+/**
+ * Wrap a native iterator so that yielded values are reactive.
+ */
+function wrapIterator (iterator, isPair) {
+  const wrapped = {
+    next () {
+      const { value, done } = iterator.next()
+      return done
+        ? { value, done }
+        : {
+          value: isPair ? [toReactive(value[0]), toReactive(value[1])] : toReactive(value),
+          done
+        }
+    }
+  }
+  if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+    wrapped[Symbol.iterator] = function () { return this }
+  }
+  return wrapped
+}
+
+function createIterationMethods (proto, target, isMap) {
+  const methods = ['keys', 'values', 'entries']
+  if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+    methods.push(Symbol.iterator)
+  }
+  methods.forEach(method => {
+    const original = proto[method]
+    const isPair = method === 'entries' || (method === Symbol.iterator && isMap)
+    def(target, method, function (...args) {
+      track(this, 'iterate')
+      return wrapIterator(original.apply(this, args), isPair)
+    })
+  })
+
+  const forEach = proto.forEach
+  def(target, 'forEach', function (cb, thisArg) {
+    track(this, 'iterate')
+    return forEach.call(this, (value, key) => {
+      cb.call(thisArg, toReactive(value), toReactive(key), this)
+    })
+  })
+
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+  Object.defineProperty(target, 'size', {
+    configurable: true,
+    get () {
+      track(this, 'iterate')
+      return sizeGetter.call(this)
+    }
+  })
+
+  const clear = proto.clear
+  def(target, 'clear', function () {
+    const hadItems = sizeGetter.call(this) !== 0
+    const result = clear.call(this)
+    if (hadItems) {
+      trigger(this, 'clear')
+    }
+    return result
+  })
+}
+
+function createMapMethods (proto, iterable) {
+  const target = Object.create(proto)
+  const { get, set, has } = proto
+  const remove = proto.delete
+
+  def(target, 'get', function (key) {
+    track(this, 'get', key)
+    return toReactive(get.call(this, toRaw(key)))
+  })
+  def(target, 'has', function (key) {
+    track(this, 'has', key)
+    return has.call(this, toRaw(key))
+  })
+  def(target, 'set', function (key, value) {
+    key = toRaw(key)
+    value = toRaw(value)
+    const hadKey = has.call(this, key)
+    const oldValue = get.call(this, key)
+    set.call(this, key, value)
+    observe(value)
+    /* eslint-disable no-self-compare */
+    if (!hadKey || (value !== oldValue && (value === value || oldValue === oldValue))) {
+      trigger(this, hadKey ? 'set' : 'add', key)
+    }
+    /* eslint-enable no-self-compare */
+    return this
+  })
+  def(target, 'delete', function (key) {
+    key = toRaw(key)
+    const result = remove.call(this, key)
+    if (result) {
+      trigger(this, 'delete', key)
+    }
+    return result
+  })
+  if (iterable) {
+    createIterationMethods(proto, target, true)
+  }
+  return target
+}
+
+function createSetMethods (proto, iterable) {
+  const target = Object.create(proto)
+  const { add, has } = proto
+  const remove = proto.delete
+
+  def(target, 'has', function (value) {
+    track(this, 'has', value)
+    return has.call(this, toRaw(value))
+  })
+  def(target, 'add', function (value) {
+    value = toRaw(value)
+    const hadValue = has.call(this, value)
+    add.call(this, value)
+    observe(value)
+    if (!hadValue) {
+      trigger(this, 'add', value)
+    }
+    return this
+  })
+  def(target, 'delete', function (value) {
+    value = toRaw(value)
+    const result = remove.call(this, value)
+    if (result) {
+      trigger(this, 'delete', value)
+    }
+    return result
+  })
+  if (iterable) {
+    createIterationMethods(proto, target, false)
+  }
+  return target
+}
+
+// instrumented prototypes keyed by the raw type of the collection
+const collectionMethods = Object.create(null)
+
+/* istanbul ignore else */
+if (hasProto) {
+  if (typeof Map !== 'undefined') collectionMethods.Map = createMapMethods(Map.prototype, true)
+  if (typeof Set !== 'undefined') collectionMethods.Set = createSetMethods(Set.prototype, true)
+  if (typeof WeakMap !== 'undefined') collectionMethods.WeakMap = createMapMethods(WeakMap.prototype, false)
+  if (typeof WeakSet !== 'undefined') collectionMethods.WeakSet = createSetMethods(WeakSet.prototype, false)
+}
+
+/**
+ * Get the instrumented prototype for a native Map, Set, WeakMap or
+ * WeakSet. Subclasses are left alone since swapping their prototype
+ * would drop their own methods.
+ */
+export function getCollectionMethods (value) {
+  const methods = collectionMethods[toRawType(value)]
+  if (methods && Object.getPrototypeOf(value) === Object.getPrototypeOf(methods)) {
+    return methods
+  }
+}
+
+/**
+ * Check if a value is an iterable collection (Map or Set).
+ */
+export function isIterableCollection (value) {
+  const type = toRawType(value)
+  return type === 'Map' || type === 'Set'
+}
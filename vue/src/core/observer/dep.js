@@ -1,11 +1,41 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Describes the mutation that caused a dep to notify. Only passed in
+ * development builds, for debugging purposes.
+ */
+export type DepNotifyInfo = {
+  target: any;
+  key?: any;
+  type: 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+};
+
+/**
+ * Describes the read that caused a dep to be collected. Only passed in
+ * development builds, for debugging purposes.
+ */
+export type DepTrackInfo = {
+  target: any;
+  key?: any;
+  type: 'get' | 'has' | 'iterate';
+};
+
+/**
+ * The event passed to onTrack / onTrigger debugger hooks.
+ */
+export type DebuggerEvent = {
+  effect: Watcher;
+  target: any;
+  key?: any;
+  type: string;
+};
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -29,16 +59,21 @@ export default class Dep {
     // remove 方法删除数组 this.subs 中 sub 元素
     remove(this.subs, sub)
   }
-  depend () {
+  depend (info?: DepTrackInfo) {
     // Dep.target 就是一个 Watcher 实例
-    if (Dep.target) {
+    const target = Dep.target
+    if (target) {
       // 最终会调用到 Dep 的 addSubs 方法。subs 是 Watcher 数组。即将当前 watcher 存到 Dep 的 subs 数组中
       // 建立和Watcher实例之间的关系
-      Dep.target.addDep(this)
+      target.addDep(this)
+      const onTrack = target.onTrack
+      if (process.env.NODE_ENV !== 'production' && info && onTrack) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
   // 将 Watcher 数组 subs 遍历，执行他们的 update 方法。update 最终会去执行 watcher 的回调函数。
-  notify () {
+  notify (info?: DepNotifyInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -49,7 +84,11 @@ export default class Dep {
     }
     // 遍历所有 watch 执行 watch 的 update 方法
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const onTrigger = subs[i].onTrigger
+      if (process.env.NODE_ENV !== 'production' && info && onTrigger) {
+        onTrigger(extend({ effect: subs[i] }, info))
+      }
+      subs[i].update(info)
     }
   }
 }
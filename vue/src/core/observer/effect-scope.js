@@ -0,0 +1,92 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn, remove } from '../util/index'
+
+let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the watchers created while it is running
+ * so that they can be torn down together, the same way a component
+ * tears down its watchers in $destroy.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  scopes: Array<EffectScope>;
+  parent: ?EffectScope;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.scopes = []
+    if (!detached && activeEffectScope) {
+      this.parent = activeEffectScope
+      activeEffectScope.scopes.push(this)
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const prevScope = activeEffectScope
+      activeEffectScope = this
+      try {
+        return fn()
+      } finally {
+        activeEffectScope = prevScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('Cannot run an inactive effect scope.')
+    }
+  }
+
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i
+      for (i = 0; i < this.effects.length; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0; i < this.cleanups.length; i++) {
+        this.cleanups[i]()
+      }
+      for (i = 0; i < this.scopes.length; i++) {
+        this.scopes[i].stop(true)
+      }
+      if (this.parent && !fromParent) {
+        remove(this.parent.scopes, this)
+      }
+      this.effects.length = this.cleanups.length = this.scopes.length = 0
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to run when the current effect scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      'onScopeDispose() is called when there is no active effect scope ' +
+      'to be associated with.'
+    )
+  }
+}
+
+export function recordEffectScope (effect: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(effect)
+  }
+}
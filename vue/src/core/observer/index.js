@@ -2,12 +2,16 @@
 
 import Dep from './dep'
 import VNode from '../vdom/vnode'
+import config from '../config'
 import { arrayMethods } from './array'
+import { createReactiveProxy } from './proxy'
+import { getCollectionMethods } from './collection'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
@@ -28,6 +32,29 @@ export function toggleObserving (value: boolean) {
   shouldObserve = value
 }
 
+let warnedNoProxy = false
+
+/**
+ * Check whether new observers should be backed by a Proxy instead of
+ * getter/setters (config.reactivityMode === 'proxy').
+ */
+function shouldUseProxy (): boolean {
+  if (config.reactivityMode !== 'proxy') {
+    return false
+  }
+  if (!hasProxy) {
+    if (process.env.NODE_ENV !== 'production' && !warnedNoProxy) {
+      warnedNoProxy = true
+      warn(
+        'config.reactivityMode is set to "proxy" but Proxy is not supported ' +
+        'in this environment. Falling back to getter/setter reactivity.'
+      )
+    }
+    return false
+  }
+  return true
+}
+
 /**
  * Observer class that is attached to each observed
  * object. Once attached, the observer converts the target
@@ -39,6 +66,8 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  proxy: ?Object; // reactive proxy of value, only set in proxy mode
+  keyDeps: ?{ [key: string]: Dep }; // per-key deps, only used in proxy mode
 
   constructor (value: any) {
     this.value = value
@@ -50,6 +79,23 @@ export class Observer {
     this.vmCount = 0
     // 设置一个__ob__属性引用当前Observer实例
     def(value, '__ob__', this)
+    const collectionMethods = getCollectionMethods(value)
+    if (collectionMethods) {
+      // Map/Set internals cannot be reached through a Proxy, so collections
+      // are always observed by swapping in instrumented methods
+      protoAugment(value, collectionMethods)
+      this.observeCollection(value)
+      return
+    }
+    if (shouldUseProxy()) {
+      // in proxy mode nothing is converted upfront: reads, additions and
+      // deletions are intercepted by the proxy and nested values are
+      // observed lazily when they are accessed
+      // $flow-disable-line
+      this.keyDeps = Object.create(null)
+      this.proxy = createReactiveProxy(value)
+      return
+    }
     // 判断数据类型，如果是数组，触发 observeArray 方法，遍历执行 observe 方法
     if (Array.isArray(value)) {
       // 对数组某些方法进行拦截，例如会新增item的方法，如push、unshift、splice
@@ -93,6 +139,19 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the keys and values of a Map or Set. Weak collections
+   * cannot be enumerated, their values are observed as they are set.
+   */
+  observeCollection (collection: any) {
+    if (typeof collection.forEach === 'function') {
+      collection.forEach((value, key) => {
+        observe(value)
+        observe(key)
+      })
+    }
+  }
 }
 
 // helpers
@@ -138,7 +197,7 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || getCollectionMethods(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
@@ -192,17 +251,22 @@ export function defineReactive (
       if (Dep.target) {
         // vue 在 get 方法中执行 dep.depend() 方法
         // 依赖收集
-        dep.depend() // 追加依赖关系
+        // 追加依赖关系
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, key, type: 'get' })
+        } else {
+          dep.depend()
+        }
         // 如果有子ob存在，子ob也收集这个依赖
         if (childOb) {
           childOb.dep.depend()
           // 如果是数组还要继续处理
-          if (Array.isArray(value)) {
+          if (Array.isArray(value) && !childOb.proxy) {
             dependArray(value)
           }
         }
       }
-      return value
+      return childOb && childOb.proxy ? childOb.proxy : value
     },
     set: function reactiveSetter (newVal) {
       // 首先会针对通过用户自定义的 get 求值，未定义则不求值
@@ -229,7 +293,11 @@ export function defineReactive (
       // 如果新值也是一个对象，调用 observe 变成一个响应式对象
       childOb = !shallow && observe(newVal)
       // 通知更新
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, key, type: 'set' })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -245,6 +313,10 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isProxyObserved(target)) {
+    (target: any).__ob__.proxy[key] = val
+    return val
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
@@ -270,7 +342,11 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   // 响应式处理
   defineReactive(ob.value, key, val)
   // 通知更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, key, type: 'add' })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -283,6 +359,10 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isProxyObserved(target)) {
+    delete (target: any).__ob__.proxy[key]
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -302,7 +382,20 @@ export function del (target: Array<any> | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, key, type: 'delete' })
+  } else {
+    ob.dep.notify()
+  }
+}
+
+/**
+ * Proxy-backed targets pick up additions and deletions by themselves,
+ * except for root $data which keeps warning like in getter/setter mode.
+ */
+function isProxyObserved (target: any): boolean {
+  const ob = isObject(target) && target.__ob__
+  return !!(ob && ob.proxy && !ob.vmCount)
 }
 
 /**
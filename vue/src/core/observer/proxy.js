@@ -0,0 +1,159 @@
+/*
+ * not type checking this file because flow doesn't play well with Proxy
+ */
+
+import Dep, { pushTarget, popTarget } from './dep'
+import { observe } from './index'
+import { methodsToPatch } from './array'
+import { hasOwn, isValidArrayIndex } from '../util/index'
+
+/**
+ * Return the raw object behind a reactive proxy, or the value
+ * itself if it is not a proxy.
+ */
+export function toRaw (value) {
+  return value !== null && typeof value === 'object' && hasOwn(value, '__ob__')
+    ? value.__ob__.value
+    : value
+}
+
+/**
+ * Create the proxy used by an observer in proxy mode.
+ */
+export function createReactiveProxy (value) {
+  return new Proxy(value, reactiveHandlers)
+}
+
+// Mutating array methods read "length" and indices internally, which
+// would make the calling watcher depend on the array it is mutating.
+const arrayInstrumentations = Object.create(null)
+
+methodsToPatch.forEach(method => {
+  const original = Array.prototype[method]
+  arrayInstrumentations[method] = function (...args) {
+    pushTarget()
+    try {
+      return original.apply(this, args)
+    } finally {
+      popTarget()
+    }
+  }
+})
+
+// Elements read through the proxy are proxies themselves, so identity
+// searches fall back to the raw array when the proxied search misses.
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  const original = Array.prototype[method]
+  arrayInstrumentations[method] = function (...args) {
+    const res = original.apply(this, args)
+    if (res === -1 || res === false) {
+      return original.apply(toRaw(this), args.map(toRaw))
+    }
+    return res
+  }
+})
+
+function getKeyDep (ob, key) {
+  return ob.keyDeps[key] || (ob.keyDeps[key] = new Dep())
+}
+
+function track (target, key, type) {
+  if (Dep.target && typeof key !== 'symbol') {
+    getKeyDep(target.__ob__, key).depend(
+      process.env.NODE_ENV !== 'production' ? { target, key, type } : undefined
+    )
+  }
+}
+
+function trigger (target, key, type, structural) {
+  const ob = target.__ob__
+  const dep = typeof key !== 'symbol' && ob.keyDeps[key]
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target, key, type }
+    : undefined
+  if (dep) {
+    dep.notify(info)
+  }
+  if (structural) {
+    ob.dep.notify(info)
+  }
+}
+
+function hasKey (target, key) {
+  return Array.isArray(target) && isValidArrayIndex(key)
+    ? Number(key) < target.length
+    : hasOwn(target, key)
+}
+
+const reactiveHandlers = {
+  get (target, key, receiver) {
+    if (Array.isArray(target) && hasOwn(arrayInstrumentations, key)) {
+      return arrayInstrumentations[key]
+    }
+    const res = Reflect.get(target, key, receiver)
+    if (key === '__ob__' || typeof key === 'symbol') {
+      return res
+    }
+    track(target, key, 'get')
+    const childOb = observe(res)
+    if (childOb && childOb.proxy) {
+      // a non-configurable, non-writable property must report its
+      // actual value or the proxy invariants are violated
+      const property = Object.getOwnPropertyDescriptor(target, key)
+      if (property && property.configurable === false && property.writable === false) {
+        return res
+      }
+      return childOb.proxy
+    }
+    return res
+  },
+
+  set (target, key, value, receiver) {
+    const hadKey = hasKey(target, key)
+    const oldValue = target[key]
+    const result = Reflect.set(target, key, toRaw(value), receiver)
+    // only trigger for the proxy itself, not for objects inheriting from it
+    if (result && receiver === target.__ob__.proxy) {
+      if (!hadKey) {
+        trigger(target, key, 'add', true)
+      } else {
+        const newValue = target[key]
+        /* eslint-disable no-self-compare */
+        if (newValue !== oldValue && (newValue === newValue || oldValue === oldValue)) {
+          trigger(target, key, 'set', Array.isArray(target))
+        }
+        /* eslint-enable no-self-compare */
+        // shrinking an array removes every index past the new length
+        if (key === 'length' && Array.isArray(target)) {
+          for (let i = newValue; i < oldValue; i++) {
+            trigger(target, String(i), 'delete', false)
+          }
+        }
+      }
+    }
+    return result
+  },
+
+  deleteProperty (target, key) {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey) {
+      trigger(target, key, 'delete', true)
+    }
+    return result
+  },
+
+  has (target, key) {
+    track(target, key, 'has')
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target) {
+    if (Dep.target) {
+      target.__ob__.dep.depend(
+        process.env.NODE_ENV !== 'production' ? { target, type: 'iterate' } : undefined
+      )
+    }
+    return Reflect.ownKeys(target)
+  }
+}
@@ -0,0 +1,95 @@
+/* @flow */
+
+import Watcher from './watcher'
+import Dep from './dep'
+import { observe, defineReactive } from './index'
+import { def, warn, noop, extend, isObject, isServerRendering } from '../util/index'
+
+export type Ref<T> = { value: T };
+
+/**
+ * Make an object reactive and return it, or its proxy when
+ * config.reactivityMode is 'proxy'.
+ */
+export function reactive<T> (target: T): T {
+  const ob = observe(target)
+  if (!ob) {
+    // nothing is observed during server rendering
+    if (process.env.NODE_ENV !== 'production' && !isServerRendering()) {
+      warn(`Cannot make a reactive object out of ${isObject(target) ? 'a non-observable object' : String(target)}.`)
+    }
+    return target
+  }
+  return ob.proxy ? (ob.proxy: any) : target
+}
+
+/**
+ * Wrap a value in an object with a single reactive "value" property.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r = {}
+  def(r, '_isRef', true)
+  defineReactive(r, 'value', value)
+  return (r: any)
+}
+
+export function isRef (r: any): boolean {
+  return !!(r && r._isRef === true)
+}
+
+/**
+ * Create a read-only (or writable, when given a setter) ref whose value
+ * is cached and re-evaluated lazily, like a computed property.
+ * onTrack / onTrigger debug options are only used in development.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set?: (value: T) => void },
+  debugOptions?: { onTrack?: Function, onTrigger?: Function }
+): Ref<T> {
+  const getter = typeof getterOrOptions === 'function'
+    ? getterOrOptions
+    : getterOrOptions.get
+  const setter = typeof getterOrOptions === 'function'
+    ? null
+    : getterOrOptions.set
+  const watcher = new Watcher(null, getter, noop, extend({ lazy: true }, debugOptions))
+
+  const r = {}
+  def(r, '_isRef', true)
+  def(r, 'effect', watcher)
+  Object.defineProperty(r, 'value', ({
+    enumerable: true,
+    configurable: true,
+    get () {
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    },
+    set (value) {
+      if (setter) {
+        setter(value)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('Write operation failed: computed value is readonly.')
+      }
+    }
+  }: Object))
+  return (r: any)
+}
+
+/**
+ * Run a function and re-run it whenever its dependencies change.
+ * Returns a function that stops it.
+ */
+export function watchEffect (effect: Function): Function {
+  const watcher = new Watcher(null, effect, noop, { user: true })
+  return function stop () {
+    watcher.teardown()
+  }
+}
@@ -1,24 +1,45 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DepNotifyInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
   nextTick,
+  holdNextTick,
+  releaseNextTick,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  isNative,
+  formatComponentName
 } from '../util/index'
 
 export const MAX_UPDATE_COUNT = 100
 
+// watchers are flushed by priority first, then by id
+const PRIORITY_RANKS: { [key: string]: number } = {
+  'user-blocking': 0,
+  'normal': 1,
+  'idle': 2
+}
+const NORMAL_RANK = PRIORITY_RANKS.normal
+const IDLE_RANK = PRIORITY_RANKS.idle
+
 // 全局变量定义
 const queue: Array<Watcher> = []                    // watcher 数组
 const activatedChildren: Array<Component> = []      // 激活的 children
 let has: { [key: number]: ?true } = {}              // 判断 watcher 是否重复添加
+let ranks: { [key: number]: number } = {}           // 每个 watcher 入队时计算出的优先级
+let sortIds: { [key: number]: number } = {}         // 排序用的 id, flush: 'pre' 的 watcher 排在渲染 watcher 前
 let circular: { [key: number]: number } = {}        // 循环更新用的
+// flush: 'post' 的 watcher 在状态重置后执行，循环计数跨越由它们触发的刷新
+let postCircular: { [key: number]: number } = {}
+// 开发环境下记录本次刷新中，是哪个 watcher 修改了哪个 key 使得 watcher 重新入队
+let triggers: { [key: number]: { watcher: Watcher, info: ?DepNotifyInfo } } = {}
+let runningWatcher: ?Watcher = null                 // 当前正在执行的 watcher
 let waiting = false                                 // 标识位
 let flushing = false                                // 标识位 是否在刷队列
 let index = 0                                       // 当前 watcher 的索引
@@ -30,8 +51,11 @@ let index = 0                                       // 当前 watcher 的索引
 function resetSchedulerState () {
   index = queue.length = activatedChildren.length = 0
   has = {}
+  ranks = {}
+  sortIds = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
   }
   waiting = flushing = false
 }
@@ -67,14 +91,166 @@ if (inBrowser && !isIE) {
   }
 }
 
+function getRank (priority: ?string): number {
+  return priority && hasOwnRank(priority) ? PRIORITY_RANKS[priority] : NORMAL_RANK
+}
+
+function hasOwnRank (priority: string): boolean {
+  return Object.prototype.hasOwnProperty.call(PRIORITY_RANKS, priority)
+}
+
+/**
+ * A watcher can never be flushed ahead of the render watchers of its
+ * ancestors, so its effective priority is capped by theirs. This keeps
+ * parents updating before their children across priority groups.
+ * A component's own watchers are never ranked behind its render watcher,
+ * so that they still run before it re-renders.
+ */
+function getEffectiveRank (watcher: Watcher): number {
+  let rank = getRank(watcher.priority)
+  const owner = watcher.vm && watcher.vm._watcher
+  if (owner && owner !== watcher) {
+    rank = Math.min(rank, getRank(owner.priority))
+  }
+  let parent = watcher.vm && watcher.vm.$parent
+  while (parent) {
+    if (parent._watcher) {
+      rank = Math.max(rank, getRank(parent._watcher.priority))
+    }
+    parent = parent.$parent
+  }
+  return rank
+}
+
+/**
+ * Watchers with flush: 'pre' that were created after their component
+ * mounted still have to run before the component re-renders, so they
+ * are sorted right in front of the component's render watcher.
+ */
+function getSortId (watcher: Watcher): number {
+  const owner = watcher.vm && watcher.vm._watcher
+  return watcher.pre && owner && owner.id < watcher.id
+    ? owner.id - 0.5
+    : watcher.id
+}
+
+/**
+ * The update limit can be set per app with the root instance's
+ * `maxUpdateCount` option.
+ */
+function getMaxUpdateCount (watcher: Watcher): number {
+  const root = watcher.vm && watcher.vm.$root
+  return (root && root.$options.maxUpdateCount) || MAX_UPDATE_COUNT
+}
+
+function describeWatcher (watcher: Watcher): string {
+  const vm = watcher.vm
+  if (!vm) {
+    return `effect "${watcher.expression}"`
+  }
+  const type = vm._watcher === watcher
+    ? 'render function'
+    : `watcher "${watcher.expression}"`
+  return `${type} of ${formatComponentName(vm, true)}`
+}
+
+function describeTrigger (info: ?DepNotifyInfo): string {
+  if (!info || info.key === undefined) {
+    return 'changed reactive state'
+  }
+  const key = String(info.key)
+  switch (info.type) {
+    case 'add': return `added "${key}"`
+    case 'delete': return `deleted "${key}"`
+    case 'array mutation': return `called array ${key}()`
+    default: return `set "${key}"`
+  }
+}
+
+/**
+ * Walk back through the watchers that re-queued each other during the
+ * current flush and format the cycle, starting from the watcher that
+ * closes it.
+ */
+function formatUpdateCycle (watcher: Watcher): string {
+  const chain = []
+  const seen = {}
+  let current = watcher
+  while (current && !seen[current.id]) {
+    seen[current.id] = true
+    chain.unshift(current)
+    const trigger = triggers[current.id]
+    current = trigger && trigger.watcher
+  }
+  if (!current) {
+    return ''
+  }
+  // chain[i] changed state that re-triggered chain[i + 1]
+  chain.unshift(current)
+  let res = '\n\nUpdate cycle:\n'
+  for (let i = 0; i < chain.length; i++) {
+    res += `  ${describeWatcher(chain[i])}\n`
+    if (i < chain.length - 1) {
+      res += `    -> ${describeTrigger(triggers[chain[i + 1].id].info)}, which triggered\n`
+    }
+  }
+  return res
+}
+
+function warnInfiniteLoop (watcher: Watcher) {
+  warn(
+    'You may have an infinite update loop ' + (
+      watcher.user
+        ? `in watcher with expression "${watcher.expression}"`
+        : `in a component render function.`
+    ) + formatUpdateCycle(watcher),
+    watcher.vm
+  )
+}
+
+function compareWatchers (a: Watcher, b: Watcher): number {
+  return (ranks[a.id] - ranks[b.id]) ||
+    (sortIds[a.id] - sortIds[b.id]) ||
+    (a.id - b.id)
+}
+
+// Resuming a time-sliced flush has to happen in a new task so that the
+// browser gets a chance to handle input and paint in between. The channel
+// is only created when first needed and only in the browser: an open
+// MessagePort keeps the Node.js event loop alive.
+let channel: ?MessageChannel = null
+const tasks: Array<Function> = []
+
+function scheduleTask (fn: Function) {
+  if (!inBrowser || typeof MessageChannel === 'undefined' || !isNative(MessageChannel)) {
+    setTimeout(fn, 0)
+    return
+  }
+  if (!channel) {
+    channel = new MessageChannel()
+    channel.port1.onmessage = () => {
+      const task = tasks.shift()
+      task()
+    }
+  }
+  tasks.push(fn)
+  channel.port2.postMessage(1)
+}
+
+function scheduleResume (idle: boolean) {
+  if (idle && inBrowser && typeof window.requestIdleCallback === 'function') {
+    window.requestIdleCallback(runSchedulerQueue)
+  } else {
+    scheduleTask(runSchedulerQueue)
+  }
+}
+
 /**
  * Flush both queues and run the watchers.
  * 遍历 queue 队列，执行 watcher
  */
 function flushSchedulerQueue () {
-  currentFlushTimestamp = getNow()
   flushing = true
-  let watcher, id
 
   // Sort queue before flush.
   // This ensures that:
@@ -84,19 +260,50 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
+  // 4. Watchers with a higher priority are run first. Effective priorities
+  //    are capped by the ancestors' (see getEffectiveRank), so 1. still holds.
   // 1. 组件的更新是从父到子的，组件创建也先从父再到子；所以要保证父的 watcher 在前面，子的watcher在后面
   // 2. 当用户定义一个组件对象写一个 watcher 属性时，实际上就创建一个 user watcher
   //    或者在代码中执行 $watcher 时，与会创建一个 user watcher;
   //    user watcher 是在 渲染 watcher 之前的，所以要放前面
   // 3. 当我们的组件销毁是在我们父组件的 watcher 中回调中执行的时候，那子组件就不用再执行了应该被跳过，他也应该从小到大排列
   // 把 queue 从小到大排序
-  queue.sort((a, b) => a.id - b.id)
+  queue.sort(compareWatchers)
+
+  index = 0
+  runSchedulerQueue()
+}
+
+function runSchedulerQueue () {
+  currentFlushTimestamp = getNow()
+  const budget = config.flushBudget
+  // time slicing only applies to async flushes
+  const deadline = budget > 0 && config.async
+    ? currentFlushTimestamp + budget
+    : 0
+  const sliceStart = index
+  let watcher, id
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
-  for (index = 0; index < queue.length; index++) {
+  for (; index < queue.length; index++) {
     // 拿到每一个 watcher
     watcher = queue[index]
+    // yield to the browser once the budget is used up, and always before
+    // starting on idle watchers. At least one watcher runs per slice.
+    if (deadline && index > sliceStart) {
+      const isIdle = ranks[watcher.id] === IDLE_RANK
+      if (getNow() >= deadline || (isIdle && ranks[queue[index - 1].id] !== IDLE_RANK)) {
+        scheduleResume(isIdle)
+        holdNextTick()
+        return
+      }
+    }
+    // flush: 'post' watchers are run after the patch, in callUpdatedHooks.
+    // has[id] stays set so that they are not queued again in this flush.
+    if (watcher.post) {
+      continue
+    }
     // 执行 before 函数
     if (watcher.before) {
       watcher.before()
@@ -105,20 +312,21 @@ function flushSchedulerQueue () {
     id = watcher.id
     has[id] = null
     // 执行 watcher.run() 执行 回调，之后会再执行 queueWatcher 所以，会可能产生无限循环的情况
-    watcher.run()
-    // in dev build, check and stop circular updates.
+    if (process.env.NODE_ENV !== 'production') {
+      runningWatcher = watcher
+      watcher.run()
+      runningWatcher = null
+    } else {
+      watcher.run()
+    }
+    // in dev build, check and stop circular updates. Runs are counted per
+    // flush, so watchers re-triggering each other in a cycle are caught as
+    // well as a watcher re-triggering itself.
     // 判断有没有无限循环更新的状况
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
+    if (process.env.NODE_ENV !== 'production') {
       circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
+      if (circular[id] > getMaxUpdateCount(watcher)) {
+        warnInfiniteLoop(watcher)
         break
       }
     }
@@ -133,6 +341,7 @@ function flushSchedulerQueue () {
   // call component updated and activated hooks
   callActivatedHooks(activatedQueue)
   callUpdatedHooks(updatedQueue)
+  releaseNextTick()
 
   // devtool hook
   // 给开发工具用的
@@ -146,12 +355,40 @@ function flushSchedulerQueue () {
 // 最终执行callHook(vm, 'updated')生命周期钩子
 // vm._watcher 的回调执行完毕后，才会执行 updated 钩子函数。
 function callUpdatedHooks (queue) {
-  let i = queue.length
+  let i
+  for (i = 0; i < queue.length; i++) {
+    const watcher = queue[i]
+    if (watcher.post && watcher.active) {
+      // updates caused by post watchers are flushed separately, so their
+      // runs are counted until a flush no longer queues anything. A watcher
+      // that went over the limit is not run again, which ends the loop.
+      if (process.env.NODE_ENV !== 'production') {
+        const id = watcher.id
+        const max = getMaxUpdateCount(watcher)
+        if (postCircular[id] > max) {
+          continue
+        }
+        runningWatcher = watcher
+        watcher.run()
+        runningWatcher = null
+        postCircular[id] = (postCircular[id] || 0) + 1
+        if (postCircular[id] > max) {
+          warnInfiniteLoop(watcher)
+        }
+      } else {
+        watcher.run()
+      }
+    }
+  }
+  if (process.env.NODE_ENV !== 'production' && !waiting) {
+    postCircular = {}
+  }
+  i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
     // 这里会判断 _watcher 是否是渲染 watcher, _isMounted为true代表不是首次渲染，执行 updated 钩子
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
@@ -180,19 +417,24 @@ function callActivatedHooks (queue) {
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DepNotifyInfo) {
   const id = watcher.id       // id 是自增的
   // 去重，不存在才入队
   if (has[id] == null) {      // has[id] 为 null, 表示不在这里面
     has[id] = true            // 进去后标识为 true
+    ranks[id] = getEffectiveRank(watcher)
+    if (process.env.NODE_ENV !== 'production' && runningWatcher) {
+      triggers[id] = { watcher: runningWatcher, info }
+    }
+    sortIds[id] = getSortId(watcher)
     // 若不在队列，则 把 watcher push 进 queue
     if (!flushing) {
       queue.push(watcher)
     } else {
-      // if already flushing, splice the watcher based on its id
-      // if already past its id, it will be run next immediately.
+      // if already flushing, splice the watcher based on its priority and id
+      // if already past its position, it will be run next immediately.
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && compareWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isIterableCollection } from './collection'
 
 // seenObjects 对象做为一个深层依赖收集的临时存储
 // 标识是否经过依赖收集
@@ -44,6 +45,12 @@ function _traverse (val: any, seen: SimpleSet) {
     i = val.length
     // 这里调用 val[i] 其实触发了对象的 get 方法
     while (i--) _traverse(val[i], seen)
+  } else if (isIterableCollection(val)) {
+    // reading through forEach tracks the collection itself
+    val.forEach((value, key) => {
+      _traverse(value, seen)
+      _traverse(key, seen)
+    })
   } else {
     keys = Object.keys(val)
     i = keys.length
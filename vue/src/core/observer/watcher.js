@@ -13,6 +13,9 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import type { DepNotifyInfo, DebuggerEvent } from './dep'
+import { recordEffectScope } from './effect-scope'
+import { profiling, now, recordProfile } from '../util/profiler'
 
 import type { SimpleSet } from '../util/index'
 
@@ -24,7 +27,7 @@ let uid = 0
  * This is used for both the $watch() api and directives.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -39,33 +42,61 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  priority: ?string;
+  pre: boolean;
+  post: boolean;
+  onTrack: ?(event: DebuggerEvent) => void;
+  onTrigger: ?(event: DebuggerEvent) => void;
   getter: Function;
   value: any;
 
   constructor (
-    vm: Component,                  // vm实例
+    vm: ?Component,                 // vm实例，独立使用响应式 API 时为空
     expOrFn: string | Function,     // 最终做为 watcher 的 getter    updateComponent
     cb: Function,                   // 回调函数
     options?: ?Object,              // 配置对象 渲染函数时 有 before 函数
     isRenderWatcher?: boolean       // 是否是渲染 watch
   ) {
     this.vm = vm
-    // 是否是渲染 watcher ，如果是把 this 缓存在 vm._watcher 上
-    if (isRenderWatcher) {
-      vm._watcher = this
+    if (vm) {
+      // 是否是渲染 watcher ，如果是把 this 缓存在 vm._watcher 上
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      // push 进 _watchers 数组
+      vm._watchers.push(this)
+    } else {
+      // watchers created outside of components are torn down by the
+      // effect scope they were created in
+      recordEffectScope(this)
     }
-    // push 进 _watchers 数组
-    vm._watchers.push(this)
     // options
     // 修饰符的处理
     if (options) {
       this.deep = !!options.deep    // 用户定义 watch 深层遍历监听数据变化
       this.user = !!options.user    // 是否是 user watch
       this.lazy = !!options.lazy    // 是否是 computed watch
-      this.sync = !!options.sync    // 同步
+      this.sync = !!options.sync || options.flush === 'sync'    // 同步
+      this.pre = options.flush === 'pre'    // 在所属组件重新渲染前执行
+      this.post = options.flush === 'post'  // 在 patch 之后、updated 钩子旁执行
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack      // 调试用，收集依赖时调用
+        this.onTrigger = options.onTrigger  // 调试用，依赖变化时调用
+      }
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        options.flush && !this.sync && !this.pre && !this.post
+      ) {
+        warn(
+          `Invalid watcher flush option "${options.flush}": ` +
+          `expected "pre", "post" or "sync".`,
+          vm
+        )
+      }
       this.before = options.before  // 这里是 before 函数，里面执行了 callHook(vm, 'beforeUpdate') 钩子
+      this.priority = options.priority // 调度优先级 user-blocking | normal | idle
     } else {
-      this.deep = this.user = this.lazy = this.sync = false   // 如果没有转入，统一置为 false
+      this.deep = this.user = this.lazy = this.sync = this.pre = this.post = false   // 如果没有转入，统一置为 false
     }
     this.cb = cb                          // 这很重要，自增的，用于标识这个 watcher, 默认为 0，++在前面，第一个为1
     this.id = ++uid // uid for batching   // 标识当前为 活动watch
@@ -129,7 +160,7 @@ export default class Watcher {
       value = this.getter.call(vm, vm)
     } catch (e) {
       if (this.user) {
-        handleError(e, vm, `getter for watcher "${this.expression}"`)
+        handleError(e, vm, `getter for watcher "${this.expression}"`, 'WATCHER_GETTER')
       } else {
         throw e
       }
@@ -189,7 +220,7 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DepNotifyInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       this.dirty = true
@@ -197,7 +228,7 @@ export default class Watcher {
       this.run()
     } else {
       // 正常不设置任何更新配置，都会走这里
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -210,6 +241,7 @@ export default class Watcher {
   run () {
     // 销毁 组件时，先把 active 置为 false
     if (this.active) {
+      const profileStart = profiling ? now() : 0
       // 先通过 get 方法求值
       // 如果求值不一样 或者 value 是一个对象 或者 deep watcher 的话
       const value = this.get()
@@ -229,13 +261,22 @@ export default class Watcher {
           try {
             this.cb.call(this.vm, value, oldValue)
           } catch (e) {
-            handleError(e, this.vm, `callback for watcher "${this.expression}"`)
+            handleError(e, this.vm, `callback for watcher "${this.expression}"`, 'WATCHER_CALLBACK')
           }
         } else {
           // **这里的 cb 回调函数传递的参数就是 value 和 oldValue。
           this.cb.call(this.vm, value, oldValue)
         }
       }
+      if (profiling) {
+        const vm = this.vm
+        recordProfile(
+          'watcher',
+          vm,
+          profileStart,
+          vm && vm._watcher === this ? 'render' : this.expression
+        )
+      }
     }
   }
 
@@ -266,7 +307,7 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
+      if (this.vm && !this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this)
       }
       let i = this.deps.length
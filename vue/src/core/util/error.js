@@ -1,19 +1,108 @@
 /* @flow */
 
 import config from '../config'
-import { warn } from './debug'
+import { warn, formatComponentName, generateComponentTrace } from './debug'
 import { inBrowser, inWeex } from './env'
-import { isPromise } from 'shared/util'
+import { isPromise, extend, hyphenate, remove, cached } from 'shared/util'
 import { pushTarget, popTarget } from '../observer/dep'
 
-export function handleError (err: Error, vm: any, info: string) {
+export type ErrorReport = {
+  error: any;
+  code: string;
+  info: string;
+  component: string | null;
+  trace: string;
+  props: Object | null;
+};
+
+export type ErrorReporter = (report: ErrorReport, vm: ?Component) => void;
+
+const reporters: Array<ErrorReporter> = []
+
+/**
+ * Register a reporter that receives a structured report for every error
+ * that reaches the global level. Returns a function that unregisters it.
+ */
+export function addErrorReporter (reporter: ErrorReporter): Function {
+  reporters.push(reporter)
+  return () => {
+    remove(reporters, reporter)
+  }
+}
+
+/**
+ * The code of errors thrown by a lifecycle hook,
+ * e.g. "beforeMount" -> BEFORE_MOUNT_HOOK.
+ */
+export const getHookErrorCode = cached((hook: string): string =>
+  `${hyphenate(hook).replace(/-/g, '_').toUpperCase()}_HOOK`
+)
+
+export function createErrorReport (
+  err: any,
+  vm: ?Component,
+  info: string,
+  code: string
+): ErrorReport {
+  return {
+    error: err,
+    code,
+    info,
+    component: vm ? formatComponentName(vm, false) : null,
+    trace: vm ? generateComponentTrace(vm) : '',
+    // a shallow snapshot, so that later updates don't change the report
+    props: vm && vm._props ? extend({}, vm._props) : null
+  }
+}
+
+/**
+ * Send an error to the registered reporters only. Used for failures that
+ * are not thrown from user code, e.g. rejected async components.
+ */
+export function reportError (err: any, vm: ?Component, info: string, code: string) {
+  if (!reporters.length) {
+    return
+  }
+  const report = createErrorReport(err, vm, info, code)
+  // a reporter may unregister itself while being called
+  const list = reporters.slice()
+  for (let i = 0; i < list.length; i++) {
+    try {
+      list[i].call(null, report, vm)
+    } catch (e) {
+      logError(e, null, 'error reporter')
+    }
+  }
+}
+
+/**
+ * errorCaptured hooks are called on $parent, which skips abstract
+ * components. <error-boundary> is abstract too, so it is looked for among
+ * the abstract components in between.
+ */
+function getErrorCapturingParent (vm: Component): ?Component {
+  let parent = vm.$options.parent
+  while (parent && parent.$options.abstract) {
+    if (parent._isErrorBoundary) {
+      return parent
+    }
+    parent = parent.$options.parent
+  }
+  return vm.$parent
+}
+
+/**
+ * `info` describes where the error was thrown for humans, `code` is the
+ * stable code reporters receive for it.
+ */
+export function handleError (err: Error, vm: any, info: string, code: string) {
   // Deactivate deps tracking while processing error handler to avoid possible infinite rendering.
   // See: https://github.com/vuejs/vuex/issues/1505
   pushTarget()
   try {
     if (vm) {
       let cur = vm
-      while ((cur = cur.$parent)) {
+      while ((cur = getErrorCapturingParent(cur))) {
         const hooks = cur.$options.errorCaptured
         if (hooks) {
           for (let i = 0; i < hooks.length; i++) {
@@ -21,13 +110,13 @@ export function handleError (err: Error, vm: any, info: string) {
               const capture = hooks[i].call(cur, err, vm, info) === false
               if (capture) return
             } catch (e) {
-              globalHandleError(e, cur, 'errorCaptured hook')
+              globalHandleError(e, cur, 'errorCaptured hook', getHookErrorCode('errorCaptured'))
             }
           }
         }
       }
     }
-    globalHandleError(err, vm, info)
+    globalHandleError(err, vm, info, code)
   } finally {
     popTarget()
   }
@@ -38,24 +127,26 @@ export function invokeWithErrorHandling (
   context: any,
   args: null | any[],
   vm: any,
-  info: string
+  info: string,
+  code: string
 ) {
   let res
   try {
     res = args ? handler.apply(context, args) : handler.call(context)
     if (res && !res._isVue && isPromise(res) && !res._handled) {
-      res.catch(e => handleError(e, vm, info + ` (Promise/async)`))
+      res.catch(e => handleError(e, vm, info + ` (Promise/async)`, code))
       // issue #9511
       // avoid catch triggering multiple times when nested calls
       res._handled = true
     }
   } catch (e) {
-    handleError(e, vm, info)
+    handleError(e, vm, info, code)
   }
   return res
 }
 
-function globalHandleError (err, vm, info) {
+function globalHandleError (err, vm, info, code) {
+  reportError(err, vm, info, code)
   if (config.errorHandler) {
     try {
       return config.errorHandler.call(null, err, vm, info)
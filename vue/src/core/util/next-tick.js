@@ -3,19 +3,34 @@
 
 import { noop } from 'shared/util'
 import { handleError } from './error'
+import { profiling, now, recordProfile } from './profiler'
 import { isIE, isIOS, isNative } from './env'
 
 export let isUsingMicroTask = false
 
 const callbacks = []    // 回调函数数组
 let pending = false     // pending状态，是否正在执行的flag
+let held = false        // 分片刷新队列时暂停执行回调
 
 function flushCallbacks () {    // 执行下一个回调
   pending = false
+  if (held) {
+    return
+  }
+  const profileStart = profiling ? now() : 0
   const copies = callbacks.slice(0)
   callbacks.length = 0
   for (let i = 0; i < copies.length; i++) {
     copies[i]()
+    // the scheduler yielded in the middle of a flush: the remaining
+    // callbacks run once it is done
+    if (held) {
+      callbacks.unshift.apply(callbacks, copies.slice(i + 1))
+      break
+    }
+  }
+  if (profiling) {
+    recordProfile('nextTick', null, profileStart)
   }
 }
 
@@ -94,13 +109,13 @@ export function nextTick (cb?: Function, ctx?: Object) {
       try {
         cb.call(ctx)
       } catch (e) {
-        handleError(e, ctx, 'nextTick')
+        handleError(e, ctx, 'nextTick', 'NEXT_TICK')
       }
     } else if (_resolve) {
       _resolve(ctx)
     }
   })
-  if (!pending) {   // 如果当前没有执行回调则执行
+  if (!pending && !held) {   // 如果当前没有执行回调则执行
     pending = true
     // 异步函数
     timerFunc()
@@ -113,3 +128,22 @@ export function nextTick (cb?: Function, ctx?: Object) {
     })
   }
 }
+
+/**
+ * Hold back nextTick callbacks while a time-sliced scheduler flush is in
+ * progress, so that they still see the fully updated DOM.
+ */
+export function holdNextTick () {
+  held = true
+}
+
+export function releaseNextTick () {
+  if (!held) {
+    return
+  }
+  held = false
+  if (callbacks.length && !pending) {
+    pending = true
+    timerFunc()
+  }
+}
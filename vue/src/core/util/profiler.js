@@ -0,0 +1,131 @@
+/* @flow */
+
+import { remove } from 'shared/util'
+import { handleError } from './error'
+import { formatComponentName } from './debug'
+
+export type ProfileEvent = {
+  type: 'init' | 'compile' | 'render' | 'patch' | 'watcher' | 'nextTick';
+  name: ?string; // formatted component name, e.g. <MyComponent>
+  uid: ?(number | string);
+  detail: ?string; // watcher expression, or "render" for render watchers
+  start: number; // in ms
+  duration: number; // in ms
+};
+
+export type ProfileListener = (event: ProfileEvent) => void;
+
+export type ProfileTrace = {
+  start: number;
+  end: number;
+  events: Array<ProfileEvent>;
+  toChromeTrace: () => Object;
+};
+
+// performance.now() is available in browsers and in Node >= 16
+const perf: any = typeof performance !== 'undefined' ? performance : null
+export const now: () => number = perf && typeof perf.now === 'function'
+  ? () => perf.now()
+  : Date.now
+
+// checked by the instrumented code before reading the clock, so profiling
+// costs nothing while nobody is listening
+export let profiling = false
+
+const listeners: Array<ProfileListener> = []
+let events: ?Array<ProfileEvent> = null
+let traceStart = 0
+
+function updateProfiling () {
+  profiling = events !== null || listeners.length > 0
+}
+
+/**
+ * Record a profile event that started at `start` and ends now.
+ */
+export function recordProfile (
+  type: $PropertyType<ProfileEvent, 'type'>,
+  vm: ?Component,
+  start: number,
+  detail?: string
+) {
+  const event: ProfileEvent = {
+    type,
+    name: vm ? formatComponentName(vm, false) : null,
+    uid: vm ? vm._uid : null,
+    detail: detail || null,
+    start,
+    duration: now() - start
+  }
+  if (events) {
+    events.push(event)
+  }
+  for (let i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i](event)
+    } catch (e) {
+      handleError(e, null, 'profiler listener', 'PROFILER_LISTENER')
+    }
+  }
+}
+
+function toChromeTrace (events: Array<ProfileEvent>): Object {
+  return {
+    traceEvents: events.map(e => ({
+      name: e.name ? `vue ${e.name} ${e.type}` : `vue ${e.type}`,
+      cat: `vue,${e.type}`,
+      ph: 'X',
+      // trace events are in microseconds
+      ts: Math.round(e.start * 1000),
+      dur: Math.round(e.duration * 1000),
+      pid: 1,
+      tid: 1,
+      args: {
+        uid: e.uid,
+        detail: e.detail
+      }
+    })),
+    displayTimeUnit: 'ms'
+  }
+}
+
+export const profiler = {
+  /**
+   * Start collecting a new trace, discarding the one in progress.
+   */
+  start () {
+    events = []
+    traceStart = now()
+    updateProfiling()
+  },
+
+  /**
+   * Stop collecting and return the trace. Events are in the order they
+   * completed, so nested events come before the ones enclosing them.
+   */
+  stop (): ProfileTrace {
+    const collected = events || []
+    events = null
+    updateProfiling()
+    return {
+      start: traceStart,
+      end: now(),
+      events: collected,
+      toChromeTrace: () => toChromeTrace(collected)
+    }
+  },
+
+  /**
+   * Register a listener that receives every event as it is recorded,
+   * whether or not a trace is being collected. Returns a function that
+   * unregisters it.
+   */
+  addListener (listener: ProfileListener): Function {
+    listeners.push(listener)
+    updateProfiling()
+    return () => {
+      remove(listeners, listener)
+      updateProfiling()
+    }
+  }
+}
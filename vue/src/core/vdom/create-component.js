@@ -189,14 +189,25 @@ export function createComponent (
   // 抽象组件处理
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slot & scoped slots & ref
 
     // work around flow
-    const slot = data.slot
+    const { slot, scopedSlots, ref, refInFor } = data
     data = {}
     if (slot) {
       data.slot = slot
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
+    // keep refs so that abstract components can expose an API to their
+    // parent, e.g. the keep-alive cache controller
+    if (ref) {
+      data.ref = ref
+      if (refInFor) {
+        data.refInFor = true
+      }
+    }
   }
 
   // install component management hooks onto the placeholder node
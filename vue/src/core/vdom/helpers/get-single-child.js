@@ -0,0 +1,29 @@
+/* @flow */
+
+import { warn } from 'core/util/debug'
+import { isAsyncPlaceholder } from './is-async-placeholder'
+
+const isNotTextNode = (c: VNode) => c.tag || isAsyncPlaceholder(c)
+
+/**
+ * The element a component renders from one of its slots, warning when the
+ * slot holds more than one. `component` is the tag used in the warning.
+ */
+export function getSingleChild (
+  vm: Component,
+  nodes: ?Array<VNode>,
+  slot: string,
+  component: string
+): ?VNode {
+  if (!nodes) {
+    return
+  }
+  const children = nodes.filter(isNotTextNode)
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      `<${component}> can only render a single element in its ${slot} slot.`,
+      vm.$parent
+    )
+  }
+  return children[0]
+}
@@ -6,4 +6,5 @@ export * from './update-listeners'
 export * from './normalize-children'
 export * from './resolve-async-component'
 export * from './get-first-component-child'
+export * from './get-single-child'
 export * from './is-async-placeholder'
@@ -9,7 +9,8 @@ import {
   isObject,
   hasSymbol,
   isPromise,
-  remove
+  remove,
+  reportError
 } from 'core/util/index'
 
 import { createEmptyVNode } from 'core/vdom/vnode'
@@ -56,6 +57,7 @@ export function resolveAsyncComponent (
   if (owner && isDef(factory.owners) && factory.owners.indexOf(owner) === -1) {
     // already pending
     factory.owners.push(owner)
+    ;(owner: any).$on('hook:destroyed', () => removeOwner(factory, owner))
   }
 
   if (isTrue(factory.loading) && isDef(factory.loadingComp)) {
@@ -65,10 +67,35 @@ export function resolveAsyncComponent (
   if (owner && !isDef(factory.owners)) {
     const owners = factory.owners = [owner]
     let sync = true
+    let aborted = false
+    let attempts = 0
+    let retryOptions = null
+    let onError = null
+    let timeout = null
     let timerLoading = null
     let timerTimeout = null
+    let timerRetry = null
+    // passed to the factory as a third argument, e.g. for fetch()
+    // $flow-disable-line
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null
+    const signal = controller ? controller.signal : undefined
 
-    ;(owner: any).$on('hook:destroyed', () => remove(owners, owner))
+    ;(owner: any).$on('hook:destroyed', () => removeOwner(factory, owner))
+
+    const clearTimers = () => {
+      if (timerLoading !== null) {
+        clearTimeout(timerLoading)
+        timerLoading = null
+      }
+      if (timerTimeout !== null) {
+        clearTimeout(timerTimeout)
+        timerTimeout = null
+      }
+      if (timerRetry !== null) {
+        clearTimeout(timerRetry)
+        timerRetry = null
+      }
+    }
 
     const forceRender = (renderCompleted: boolean) => {
       for (let i = 0, l = owners.length; i < l; i++) {
@@ -77,20 +104,36 @@ export function resolveAsyncComponent (
 
       if (renderCompleted) {
         owners.length = 0
-        if (timerLoading !== null) {
-          clearTimeout(timerLoading)
-          timerLoading = null
-        }
-        if (timerTimeout !== null) {
-          clearTimeout(timerTimeout)
-          timerTimeout = null
-        }
+        clearTimers()
+      }
+    }
+
+    // called once every owner has been destroyed before the component
+    // resolved: cancel the pending load and start over on the next render,
+    // instead of keeping a stale loading / error state around
+    factory.abort = () => {
+      if (aborted || isDef(factory.resolved)) {
+        return
+      }
+      aborted = true
+      clearTimers()
+      factory.owners = undefined
+      factory.loading = false
+      factory.error = undefined
+      factory.abort = undefined
+      if (controller) {
+        controller.abort()
       }
+      settle(factory)
     }
 
     const resolve = once((res: Object | Class<Component>) => {
+      if (aborted) {
+        return
+      }
       // cache resolved
       factory.resolved = ensureCtor(res, baseCtor)
+      settle(factory)
       // invoke callbacks only if this is not a synchronous resolve
       // (async resolves are shimmed as synchronous during SSR)
       if (!sync) {
@@ -100,27 +143,117 @@ export function resolveAsyncComponent (
       }
     })
 
-    const reject = once(reason => {
+    // the final failure, once retries are exhausted or declined
+    const reject = reason => {
+      if (aborted) {
+        return
+      }
       process.env.NODE_ENV !== 'production' && warn(
         `Failed to resolve async component: ${String(factory)}` +
         (reason ? `\nReason: ${reason}` : '')
       )
+      reportError(reason, owners.length ? owners[0] : owner, 'async component', 'ASYNC_COMPONENT')
+      clearTimers()
+      settle(factory)
       if (isDef(factory.errorComp)) {
         factory.error = true
-        forceRender(true)
+        // keep the owners, so that the error state is dropped once they
+        // are all destroyed
+        forceRender(false)
       }
-    })
+    }
+
+    // each attempt gets its own reject, so a late failure of a previous
+    // attempt can't be mistaken for the current one
+    const createReject = (attempt: number) => {
+      let handled = false
+      return (reason: any) => {
+        if (handled || aborted || attempt !== attempts || isDef(factory.resolved)) {
+          return
+        }
+        handled = true
+        if (timerTimeout !== null) {
+          clearTimeout(timerTimeout)
+          timerTimeout = null
+        }
+        handleFailure(reason)
+      }
+    }
+
+    const handleFailure = (reason: any) => {
+      if (retryOptions && shouldRetry(retryOptions, reason, attempts)) {
+        timerRetry = setTimeout(() => {
+          timerRetry = null
+          load()
+        }, getRetryDelay(retryOptions, attempts))
+      } else if (onError) {
+        const retry = once(() => {
+          if (!aborted) load()
+        })
+        onError(reason, retry, once(() => reject(reason)), attempts)
+      } else {
+        reject(reason)
+      }
+    }
+
+    // each attempt has the full timeout to resolve, a timeout counts as a
+    // failure of that attempt
+    const startTimeout = (rejectAttempt: Function) => {
+      if (timeout === null) {
+        return
+      }
+      if (timerTimeout !== null) {
+        clearTimeout(timerTimeout)
+      }
+      timerTimeout = setTimeout(() => {
+        timerTimeout = null
+        if (isUndef(factory.resolved)) {
+          rejectAttempt(
+            process.env.NODE_ENV !== 'production'
+              ? `timeout (${String(timeout)}ms)`
+              : null
+          )
+        }
+      }, timeout)
+    }
 
-    const res = factory(resolve, reject)
+    // retry by calling the factory again
+    const load = () => {
+      // a new attempt drops the error state of a failed one
+      factory.error = undefined
+      const rejectAttempt = createReject(++attempts)
+      startTimeout(rejectAttempt)
+      const res = factory(resolve, rejectAttempt, signal)
+      const promise = isPromise(res)
+        ? res
+        : isObject(res) && isPromise(res.component)
+          ? res.component
+          : null
+      if (promise) {
+        promise.then(resolve, rejectAttempt)
+      }
+    }
+
+    const rejectFirst = createReject(++attempts)
+    const res = factory(resolve, rejectFirst, signal)
 
     if (isObject(res)) {
       if (isPromise(res)) {
         // () => Promise
         if (isUndef(factory.resolved)) {
-          res.then(resolve, reject)
+          res.then(resolve, rejectFirst)
         }
       } else if (isPromise(res.component)) {
-        res.component.then(resolve, reject)
+        if (isDef(res.retry)) {
+          retryOptions = typeof res.retry === 'number'
+            ? { attempts: res.retry }
+            : res.retry
+        }
+        if (typeof res.onError === 'function') {
+          onError = res.onError
+        }
+
+        res.component.then(resolve, rejectFirst)
 
         if (isDef(res.error)) {
           factory.errorComp = ensureCtor(res.error, baseCtor)
@@ -142,16 +275,8 @@ export function resolveAsyncComponent (
         }
 
         if (isDef(res.timeout)) {
-          timerTimeout = setTimeout(() => {
-            timerTimeout = null
-            if (isUndef(factory.resolved)) {
-              reject(
-                process.env.NODE_ENV !== 'production'
-                  ? `timeout (${res.timeout}ms)`
-                  : null
-              )
-            }
-          }, res.timeout)
+          timeout = res.timeout
+          startTimeout(rejectFirst)
         }
       }
     }
@@ -163,3 +288,38 @@ export function resolveAsyncComponent (
       : factory.resolved
   }
 }
+
+// notify the <suspense> components waiting for this factory
+function settle (factory: Function) {
+  const cbs = factory.settledCbs
+  if (cbs) {
+    factory.settledCbs = undefined
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
+function removeOwner (factory: Function, owner: Component) {
+  const owners = factory.owners
+  if (owners) {
+    remove(owners, owner)
+    if (!owners.length && factory.abort) {
+      factory.abort()
+    }
+  }
+}
+
+function shouldRetry (options: Object, reason: any, attempts: number): boolean {
+  return attempts <= (options.attempts || 0) &&
+    (!options.shouldRetry || options.shouldRetry(reason, attempts) !== false)
+}
+
+// a number backs off exponentially: backoff, backoff * 2, backoff * 4...
+function getRetryDelay (options: Object, attempts: number): number {
+  const backoff = options.backoff
+  if (typeof backoff === 'function') {
+    return backoff(attempts)
+  }
+  return (backoff || 0) * Math.pow(2, attempts - 1)
+}
@@ -4,6 +4,7 @@ import {
   warn,
   invokeWithErrorHandling
 } from 'core/util/index'
+import { eventModifiers } from 'shared/event-modifiers'
 import {
   cached,
   isUndef,
@@ -39,17 +40,66 @@ export function createFnInvoker (fns: Function | Array<Function>, vm: ?Component
     if (Array.isArray(fns)) {
       const cloned = fns.slice()
       for (let i = 0; i < cloned.length; i++) {
-        invokeWithErrorHandling(cloned[i], null, arguments, vm, `v-on handler`)
+        invokeWithErrorHandling(cloned[i], null, arguments, vm, `v-on handler`, 'V_ON_HANDLER')
       }
     } else {
       // return handler return value for single handlers
-      return invokeWithErrorHandling(fns, null, arguments, vm, `v-on handler`)
+      return invokeWithErrorHandling(fns, null, arguments, vm, `v-on handler`, 'V_ON_HANDLER')
     }
   }
   invoker.fns = fns
   return invoker
 }
 
+// compiled handlers with runtime modifiers look like { handler, modifiers }
+function hasModifiers (def: any): boolean {
+  return isPlainObject(def) && !!def.modifiers
+}
+
+// the invoker is wrapped once, so that state kept by a wrapper (e.g. a
+// debounce timer) survives re-renders, which only swap invoker.fns
+function applyModifiers (
+  invoker: Function,
+  modifiers: Object,
+  event: string,
+  vm: Component
+): Function {
+  let fn = invoker
+  for (const key in modifiers) {
+    const wrap = eventModifiers[key]
+    if (wrap) {
+      const arg = modifiers[key]
+      fn = wrap(fn, typeof arg === 'string' ? arg : undefined, { event, vm, modifiers })
+    }
+  }
+  if (fn !== invoker) {
+    (fn: any).invoker = invoker
+  }
+  return fn
+}
+
+// when an event has several listeners, each listener with runtime modifiers
+// gets its own wrapped invoker so that the modifiers only apply to it.
+// Wrappers of the previous render are reused by position.
+function normalizeModifiedHandlers (
+  def: Array<any>,
+  oldFns: any,
+  event: string,
+  vm: Component
+): any {
+  return def.map((d, i) => {
+    if (!hasModifiers(d)) {
+      return d
+    }
+    const old = Array.isArray(oldFns) ? oldFns[i] : null
+    if (old && (old.invoker || old.fns)) {
+      (old.invoker || old).fns = d.handler
+      return old
+    }
+    return applyModifiers(createFnInvoker(d.handler, vm), d.modifiers, event, vm)
+  })
+}
+
 export function updateListeners (
   on: Object,
   oldOn: Object,
@@ -58,7 +108,7 @@ export function updateListeners (
   createOnceHandler: Function,
   vm: Component
 ) {
-  let name, def, cur, old, event
+  let name, def, cur, old, event, modifiers
   for (name in on) {
     def = cur = on[name]
     old = oldOn[name]
@@ -68,6 +118,20 @@ export function updateListeners (
       cur = def.handler
       event.params = def.params
     }
+    modifiers = null
+    if (Array.isArray(cur)) {
+      if (cur.some(hasModifiers)) {
+        cur = normalizeModifiedHandlers(
+          cur,
+          old && (old.invoker || old).fns,
+          event.name,
+          vm
+        )
+      }
+    } else if (hasModifiers(cur)) {
+      modifiers = cur.modifiers
+      cur = cur.handler
+    }
     if (isUndef(cur)) {
       process.env.NODE_ENV !== 'production' && warn(
         `Invalid handler for event "${event.name}": got ` + String(cur),
@@ -77,6 +141,9 @@ export function updateListeners (
       if (isUndef(cur.fns)) {
         cur = on[name] = createFnInvoker(cur, vm)
       }
+      if (modifiers) {
+        cur = on[name] = applyModifiers(cur, modifiers, event.name, vm)
+      }
       if (isTrue(event.once)) {
         cur = on[name] = createOnceHandler(event.name, cur, event.capture)
       }
@@ -84,7 +151,7 @@ export function updateListeners (
       // add方法定义在调用updateListeners方法src\core\instance\events.js中
       add(event.name, cur, event.capture, event.passive, event.params)
     } else if (cur !== old) {
-      old.fns = cur
+      (old.invoker || old).fns = cur
       on[name] = old
     }
   }
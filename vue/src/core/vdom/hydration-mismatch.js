@@ -0,0 +1,158 @@
+/* @flow */
+
+import config from '../config'
+import { handleError } from '../util/error'
+import { formatComponentName, generateComponentTrace } from '../util/debug'
+import { extend } from 'shared/util'
+
+export type HydrationMismatchCategory =
+  'tag' | // element with a different tag
+  'node-type' | // e.g. text where an element was expected
+  'text' | // text content differs, patched without bailing
+  'inner-html' | // v-html / domProps.innerHTML differs
+  'missing-node' | // fewer server-rendered nodes than vnodes
+  'extra-node' | // more server-rendered nodes than vnodes
+  'fragment'; // fragment or teleport anchors not found
+
+export type HydrationNodeInfo = {
+  type: 'element' | 'text' | 'comment' | 'fragment';
+  tag: ?string;
+  text: ?string;
+  attrs: ?{ [key: string]: string };
+};
+
+export type HydrationMismatchReport = {
+  category: HydrationMismatchCategory;
+  // CSS-like path of the server-rendered node, or of its parent when the
+  // node is missing, e.g. "div#app > ul > li:nth-child(2)"
+  path: string;
+  component: string | null;
+  trace: string;
+  expected: HydrationNodeInfo | null;
+  actual: HydrationNodeInfo | null;
+};
+
+function describeNode (node: ?Node): HydrationNodeInfo | null {
+  if (!node) return null
+  if (node.nodeType === 1) {
+    const el: any = node
+    const attrs = {}
+    for (let i = 0; i < el.attributes.length; i++) {
+      attrs[el.attributes[i].name] = el.attributes[i].value
+    }
+    return { type: 'element', tag: el.tagName.toLowerCase(), text: null, attrs }
+  }
+  return {
+    type: node.nodeType === 8 ? 'comment' : 'text',
+    tag: null,
+    text: (node: any).data,
+    attrs: null
+  }
+}
+
+function describeVNode (vnode: ?VNode): HydrationNodeInfo | null {
+  if (!vnode) return null
+  if (vnode.tag) {
+    const data = vnode.data || {}
+    const attrs = extend({}, data.attrs)
+    if (data.staticClass) attrs.class = data.staticClass
+    return { type: 'element', tag: vnode.tag, text: null, attrs }
+  }
+  return {
+    type: vnode.isFragment ? 'fragment' : vnode.isComment ? 'comment' : 'text',
+    tag: null,
+    text: vnode.text,
+    attrs: null
+  }
+}
+
+function getSegment (node: Node): string {
+  if (node.nodeType !== 1) {
+    return node.nodeType === 8 ? '#comment' : '#text'
+  }
+  const el: any = node
+  let segment = el.tagName.toLowerCase()
+  if (el.id) {
+    return `${segment}#${el.id}`
+  }
+  const parent = el.parentNode
+  if (parent && parent.children && parent.children.length > 1) {
+    segment += `:nth-child(${Array.prototype.indexOf.call(parent.children, el) + 1})`
+  }
+  return segment
+}
+
+function getPath (node: Node): string {
+  const segments = []
+  let cur = node
+  while (cur && cur.nodeType !== 9 && (cur: any).tagName !== 'BODY') {
+    segments.unshift(getSegment(cur))
+    // an element with an id is enough to locate the node
+    if ((cur: any).id) break
+    cur = cur.parentNode
+  }
+  return segments.join(' > ')
+}
+
+function html (text: string): HydrationNodeInfo {
+  return { type: 'text', tag: null, text, attrs: null }
+}
+
+export function createMismatchReport (
+  category: HydrationMismatchCategory,
+  node: ?Node,
+  vnode: ?VNode,
+  parent: ?Node,
+  vm: ?Component
+): HydrationMismatchReport {
+  const target = node || parent
+  const innerHTML = category === 'inner-html'
+  return {
+    category,
+    path: target ? getPath(target) : '',
+    component: vm ? formatComponentName(vm, false) : null,
+    trace: process.env.NODE_ENV !== 'production' && vm
+      ? generateComponentTrace(vm)
+      : '',
+    // for v-html, the html is compared rather than the element
+    expected: innerHTML && vnode && vnode.data && vnode.data.domProps
+      ? html(vnode.data.domProps.innerHTML)
+      : describeVNode(vnode),
+    actual: innerHTML && node
+      ? html((node: any).innerHTML)
+      : describeNode(node)
+  }
+}
+
+function formatInfo (info: HydrationNodeInfo | null): string {
+  if (!info) return '(none)'
+  if (info.type === 'element') {
+    const attrs = info.attrs || {}
+    return `<${String(info.tag)}${Object.keys(attrs).map(
+      key => ` ${key}="${attrs[key]}"`
+    ).join('')}>`
+  }
+  if (info.type === 'fragment') return '<!--[-->'
+  if (info.type === 'comment') return `<!--${String(info.text)}-->`
+  return JSON.stringify(info.text) || '""'
+}
+
+export function formatMismatchReport (report: HydrationMismatchReport): string {
+  return `Hydration mismatch (${report.category}) at ${report.path || '(root)'}\n` +
+    `  - expected: ${formatInfo(report.expected)}\n` +
+    `  + actual:   ${formatInfo(report.actual)}`
+}
+
+/**
+ * Pass the report to config.hydrationMismatchHandler, if any.
+ */
+export function reportMismatch (report: HydrationMismatchReport, vm: ?Component) {
+  const handler = config.hydrationMismatchHandler
+  if (handler) {
+    try {
+      handler(report, vm)
+    } catch (e) {
+      handleError(e, null, 'config.hydrationMismatchHandler', 'HYDRATION_MISMATCH_HANDLER')
+    }
+  }
+}
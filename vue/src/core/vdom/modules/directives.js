@@ -148,7 +148,7 @@ function callHook (dir, hook, vnode, oldVnode, isDestroy) {
     try {
       fn(vnode.elm, dir, vnode, oldVnode, isDestroy)
     } catch (e) {
-      handleError(e, vnode.context, `directive ${dir.name} ${hook} hook`)
+      handleError(e, vnode.context, `directive ${dir.name} ${hook} hook`, 'DIRECTIVE_HOOK')
     }
   }
 }
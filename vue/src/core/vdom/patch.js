@@ -15,13 +15,19 @@
  * of making flow understand it is not worth it.
  */
 
-import VNode, { cloneVNode } from './vnode'
+import VNode, { cloneVNode, createFragmentVNode } from './vnode'
 import config from '../config'
 import { SSR_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import { trackAsyncFactory } from '../instance/suspense'
 import { isTextInputType } from 'web/util/element'
+import {
+  createMismatchReport,
+  formatMismatchReport,
+  reportMismatch
+} from './hydration-mismatch'
 
 import {
   warn,
@@ -47,6 +53,8 @@ function sameVnode (a, b) {
         a.tag === b.tag &&
         // 是否是注释节点
         a.isComment === b.isComment &&
+        // 片段和文本节点都没有 tag，需要区分开
+        a.isFragment === b.isFragment &&
         // 是否都定义了data，data包含一些具体信息，例如onclick style
         isDef(a.data) === isDef(b.data) &&
         // 当标签是<input>的时候，type必须相同
@@ -111,16 +119,42 @@ export function createPatchFunction (backend) {
   // new 一个 vnode,只传了 tagName 和 真实DOM节点
   // emptyNodeAt 方法就是把真实 dom 转换为 vnode
   function emptyNodeAt (elm) {
+    if (elm.nodeType === 8) {
+      return elm.data === '[' || elm.data === 'teleport start'
+        ? emptyFragmentAt(elm)
+        : new VNode(undefined, undefined, undefined, undefined, elm)
+    }
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
+  // a server-rendered fragment that failed to hydrate, covering all nodes
+  // up to the matching end anchor so that they are removed together
+  function emptyFragmentAt (elm) {
+    const vnode = createFragmentVNode([])
+    const start = elm.data
+    const end = start === '[' ? ']' : 'teleport end'
+    vnode.elm = elm
+    let depth = 0
+    let node = elm.nextSibling
+    while (node && !(node.nodeType === 8 && node.data === end && depth === 0)) {
+      if (node.nodeType === 8) {
+        if (node.data === start) depth++
+        else if (node.data === end) depth--
+      }
+      vnode.children.push(new VNode(undefined, undefined, undefined, undefined, node))
+      node = node.nextSibling
+    }
+    vnode.anchor = node || elm
+    return vnode
+  }
+
   // 创建成功后回调删除节点
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       // listeners 只有一个删除
       if (--remove.listeners === 0) {
         // 移除这个子节点
-        removeNode(childElm)
+        removeVnodeElms(vnode)
       }
     }
     // 在 函数 remove 上挂载了一个 listeners 属性，值为传进来的
@@ -181,6 +215,11 @@ export function createPatchFunction (backend) {
       vnode = ownerArray[index] = cloneVNode(vnode)
     }
 
+    // let the closest <suspense> wait for components that are still loading
+    if (isDef(vnode.asyncFactory)) {
+      trackAsyncFactory(vnode.asyncFactory, activeInstance)
+    }
+
     // 首次创建是一个 root 节点插入
     vnode.isRootInsert = !nested // for transition enter check
     // 组件创建
@@ -256,6 +295,29 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      // the children are inserted between a start and an end anchor,
+      // or before an anchor in the target of a teleport
+      const isTeleport = isDef(vnode.teleport)
+      vnode.elm = nodeOps.createComment(isTeleport ? 'teleport start' : '[')
+      vnode.anchor = nodeOps.createComment(isTeleport ? 'teleport end' : ']')
+      insert(parentElm, vnode.elm, refElm)
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      let container = parentElm
+      let ref = refElm
+      const target = getTarget(vnode)
+      if (isDef(target)) {
+        vnode.targetAnchor = nodeOps.createComment('teleport anchor')
+        nodeOps.appendChild(target, vnode.targetAnchor)
+        container = target
+        ref = vnode.targetAnchor
+      }
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, container, ref, nested, children, i)
+      }
+      insert(parentElm, vnode.anchor, refElm)
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       // 添加注释节点
@@ -288,7 +350,7 @@ export function createPatchFunction (backend) {
         // 属性初始化
         initComponent(vnode, insertedVnodeQueue)
         // dom插入操作
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -308,8 +370,18 @@ export function createPatchFunction (backend) {
       invokeCreateHooks(vnode, insertedVnodeQueue)
       setScope(vnode)
     } else {
-      // empty component root.
+      // empty or fragment component root.
       // skip all element-related modules except for ref (#3455)
+      if (process.env.NODE_ENV !== 'production' &&
+        isDef(vnode.data.transition) &&
+        isTrue(getRootVnode(vnode).isFragment)
+      ) {
+        warn(
+          'Component inside <transition> renders multiple root nodes, ' +
+          'which cannot be animated.',
+          vnode.context
+        )
+      }
       registerRef(vnode)
       // make sure to invoke the insert hook
       insertedVnodeQueue.push(vnode)
@@ -335,7 +407,81 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
+  }
+
+  // the vnode actually rendered for a component placeholder
+  function getRootVnode (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return vnode
+  }
+
+  // last DOM node of a vnode, which is the end anchor for fragments
+  function getLastElm (vnode) {
+    const root = getRootVnode(vnode)
+    return isTrue(root.isFragment) ? root.anchor : vnode.elm
+  }
+
+  // insert or move all DOM nodes of a vnode. The nodes of a fragment are
+  // found by walking the vnode tree, as they may not be attached yet.
+  function insertVnode (parent, vnode, ref) {
+    const root = getRootVnode(vnode)
+    if (isTrue(root.isFragment)) {
+      insert(parent, root.elm, ref)
+      insertFragmentChildren(root, parent, ref)
+      insert(parent, root.anchor, ref)
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  // teleported children stay in their target, before the target anchor
+  function insertFragmentChildren (vnode, parent, ref) {
+    const target = getTarget(vnode)
+    if (isDef(target)) {
+      if (isUndef(vnode.targetAnchor)) {
+        vnode.targetAnchor = nodeOps.createComment('teleport anchor')
+      }
+      if (nodeOps.parentNode(vnode.targetAnchor) !== target) {
+        nodeOps.appendChild(target, vnode.targetAnchor)
+      }
+      parent = target
+      ref = vnode.targetAnchor
+    } else if (isDef(vnode.targetAnchor)) {
+      removeNode(vnode.targetAnchor)
+      vnode.targetAnchor = undefined
+    }
+    const children = vnode.children
+    for (let i = 0; i < children.length; ++i) {
+      insertVnode(parent, children[i], ref)
+    }
+  }
+
+  function getTarget (vnode) {
+    const teleport = vnode.teleport
+    return isDef(teleport) && teleport.target ? teleport.target : undefined
+  }
+
+  function removeVnodeElms (vnode) {
+    const root = getRootVnode(vnode)
+    if (isTrue(root.isFragment)) {
+      for (let i = 0; i < root.children.length; ++i) {
+        removeVnodeElms(root.children[i])
+      }
+      removeAnchors(root)
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
+  function removeAnchors (vnode) {
+    removeNode(vnode.elm)
+    removeNode(vnode.anchor)
+    if (isDef(vnode.targetAnchor)) {
+      removeNode(vnode.targetAnchor)
+    }
   }
 
   // 调用封装的原生domcument api进行插入
@@ -445,6 +591,9 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeAnchors(ch)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -462,7 +611,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -484,7 +633,7 @@ export function createPatchFunction (backend) {
   // 重排算法，主要作用是用一种较高效的方式比对新旧两个VNode的children得出最小操作补丁。
   // 在新老两组VNode节点的左右头尾两侧都有一个变量标记，在遍历过程中这几个变量都会向中间靠拢。 当oldStartIdx > oldEndIdx或者newStartIdx > newEndIdx时结束循环
   // 其中 oldCh 和 newCh 即表示了新旧 vnode 数组，两组数组通过比对的方式来差异化更新 DOM。
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, parentAnchor) {
     // 老vnode. 开始索引值、结束索引值、开始vnode、结束vnode
     let oldStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -541,7 +690,7 @@ export function createPatchFunction (backend) {
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
         // 如果removeOnly是false，那么可以把oldStartVnode.elm移动到oldEndVnode.elm之后，
         // parentElm 父节点，oldStartVnode.elm 移动的节点，nodeOps.nextSibling(oldEndVnode.elm) 参考的节点
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && insertVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastElm(oldEndVnode)))
         // 然后把oldStartVnode设置为下一个节点，newEndVnode设置为上一个节点，重复上述流程
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
@@ -550,7 +699,7 @@ export function createPatchFunction (backend) {
         // 如果newStartVnode和oldEndVnode是同一节点，调用patchVnode进行patch
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
         // 如果removeOnly是false，那么可以把oldEndVnode.elm移动到oldStartVnode.elm之前
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && insertVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         // 然后把newStartVnode设置为下一个节点，oldEndVnode设置为上一个节点，重复上述流程
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
@@ -576,7 +725,7 @@ export function createPatchFunction (backend) {
             // 赋值 undefined，插入 vnodeToMove 元素
             oldCh[idxInOld] = undefined
             // 如果 removeOnly 是 false，那么可以把 vnodeToMove.elm移动到 oldStartVnode.elm 之前
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && insertVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // vnodeToMove 与 newStartVnode 不是同一vnode, 即为相同的 key 不同的元素，视为新元素
             // same key but different element. treat as new element
@@ -590,7 +739,7 @@ export function createPatchFunction (backend) {
     // 新老数组存在剩下的元素未处理的情况
     // 如果老开始 idx 大于老结束 idx，如果是有效数据则添加 vnode 到新 vnode 中。
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      refElm = isUndef(newCh[newEndIdx + 1]) ? parentAnchor : newCh[newEndIdx + 1].elm
       // 批量新增 vnode
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
@@ -695,8 +844,25 @@ export function createPatchFunction (backend) {
       // 执行 data.hook.update 钩子
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
-    // 判断是否是元素，旧vnode的text是否为undefined
-    if (isUndef(vnode.text)) {
+    if (isTrue(vnode.isFragment)) {
+      // fragment children live between the anchors, in the parent of elm,
+      // or in the target of a teleport
+      vnode.anchor = oldVnode.anchor
+      vnode.targetAnchor = oldVnode.targetAnchor
+      const target = getTarget(oldVnode)
+      if (oldCh !== ch) {
+        if (isDef(target)) {
+          updateChildren(target, oldCh, ch, insertedVnodeQueue, removeOnly, vnode.targetAnchor)
+        } else {
+          updateChildren(nodeOps.parentNode(elm), oldCh, ch, insertedVnodeQueue, removeOnly, vnode.anchor)
+        }
+      }
+      // the teleport target has changed or has been disabled
+      if (getTarget(vnode) !== target) {
+        insertFragmentChildren(vnode, nodeOps.parentNode(elm), vnode.anchor)
+      }
+    } else if (isUndef(vnode.text)) {
+      // 判断是否是元素，旧vnode的text是否为undefined
       // 新旧 vnode 都有 children
       if (isDef(oldCh) && isDef(ch)) {
         // 递归比较，比孩子，reorder重排
@@ -740,7 +906,30 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
+  // the mismatch that made the current hydration bail, and its component
+  let hydrationMismatch = null
+  let hydrationMismatchVm = null
+  // teleport targets whose cursor was advanced by the current root hydration.
+  // child components hydrate through nested patch() calls, so the cursors are
+  // only cleared once the outermost hydration is done.
+  let teleportTargets = null
+
+  function clearTeleportCursors () {
+    for (let i = 0; i < teleportTargets.length; i++) {
+      delete teleportTargets[i]._teleportCursor
+    }
+    teleportTargets = null
+  }
+
+  function onMismatch (category, node, vnode, parent, vm) {
+    // text vnodes have no context, fall back to the component being patched
+    vm = vm || (vnode && vnode.context) || activeInstance
+    const report = createMismatchReport(category, node, vnode, parent, vm)
+    reportMismatch(report, vm)
+    hydrationMismatch = report
+    hydrationMismatchVm = vm
+  }
+
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
@@ -758,10 +947,19 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
-    // assert node match
-    if (process.env.NODE_ENV !== 'production') {
+    // assert node match. Production builds don't bail on mismatched nodes,
+    // they only report them when a mismatch handler is set.
+    if (process.env.NODE_ENV !== 'production' || config.hydrationMismatchHandler) {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
-        return false
+        const category = isTrue(vnode.isFragment)
+          ? 'fragment'
+          : isDef(vnode.tag) && elm.nodeType === 1 ? 'tag' : 'node-type'
+        if (process.env.NODE_ENV !== 'production') {
+          onMismatch(category, elm, vnode)
+          return false
+        }
+        const vm = vnode.context || activeInstance
+        reportMismatch(createMismatchReport(category, elm, vnode, null, vm), vm)
       }
     }
     if (isDef(data)) {
@@ -772,6 +970,43 @@ export function createPatchFunction (backend) {
         return true
       }
     }
+    if (isTrue(vnode.isFragment)) {
+      // children follow the start anchor, up to the end anchor. Teleported
+      // children follow the previous teleport into the same target, up to
+      // the target anchor.
+      const target = getTarget(vnode)
+      let childNode = isDef(target)
+        ? target._teleportCursor || target.firstChild
+        : elm.nextSibling
+      for (let i = 0; i < children.length; i++) {
+        if (!childNode) {
+          onMismatch('missing-node', null, children[i], isDef(target) ? target : elm.parentNode)
+          return false
+        }
+        if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+          return false
+        }
+        childNode = getLastElm(children[i]).nextSibling
+      }
+      if (isDef(target)) {
+        if (!isAnchor(childNode, 'teleport anchor')) {
+          onMismatch('fragment', childNode, vnode, target)
+          return false
+        }
+        vnode.targetAnchor = childNode
+        if (teleportTargets && teleportTargets.indexOf(target) < 0) {
+          teleportTargets.push(target)
+        }
+        target._teleportCursor = childNode.nextSibling
+        childNode = elm.nextSibling
+      }
+      if (!isAnchor(childNode, isDef(vnode.teleport) ? 'teleport end' : ']')) {
+        onMismatch('fragment', childNode, vnode, elm.parentNode)
+        return false
+      }
+      vnode.anchor = childNode
+      return true
+    }
     if (isDef(tag)) {
       if (isDef(children)) {
         // empty element, allow client to pick up and populate children
@@ -781,41 +1016,26 @@ export function createPatchFunction (backend) {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
             if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
-              }
+              onMismatch('inner-html', elm, vnode)
               return false
             }
           } else {
             // iterate and compare children lists
-            let childrenMatch = true
             let childNode = elm.firstChild
             for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
-                childrenMatch = false
-                break
+              if (!childNode) {
+                onMismatch('missing-node', null, children[i], elm)
+                return false
               }
-              childNode = childNode.nextSibling
+              if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+                return false
+              }
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
-              }
+            if (childNode) {
+              onMismatch('extra-node', childNode, null, elm, vnode.context)
               return false
             }
           }
@@ -836,17 +1056,27 @@ export function createPatchFunction (backend) {
         }
       }
     } else if (elm.data !== vnode.text) {
+      // text is patched without bailing, so it is only reported to the handler
+      if (config.hydrationMismatchHandler) {
+        reportMismatch(createMismatchReport('text', elm, vnode, null, activeInstance), activeInstance)
+      }
       elm.data = vnode.text
     }
     return true
   }
 
+  function isAnchor (node, text) {
+    return !!node && node.nodeType === 8 && node.data === text
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
         !isUnknownElement(vnode, inVPre) &&
         vnode.tag.toLowerCase() === (node.tagName && node.tagName.toLowerCase())
       )
+    } else if (isTrue(vnode.isFragment)) {
+      return isAnchor(node, isDef(vnode.teleport) ? 'teleport start' : '[')
     } else {
       return node.nodeType === (vnode.isComment ? 8 : 3)
     }
@@ -908,18 +1138,31 @@ export function createPatchFunction (backend) {
           if (isTrue(hydrating)) {
             // 需要用 hydrate 函数将虚拟dom和真是dom进行映射，然后将oldVnode设置为对应的虚拟dom，
             // 找到oldVnode.elm的父节点，根据vnode创建一个真实dom节点并插入到该父节点中oldVnode.elm的位置
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            hydrationMismatch = hydrationMismatchVm = null
+            const isRootHydration = teleportTargets === null
+            if (isRootHydration) teleportTargets = []
+            let hydrated
+            try {
+              hydrated = hydrate(oldVnode, vnode, insertedVnodeQueue)
+            } finally {
+              if (isRootHydration) clearTeleportCursors()
+            }
+            if (hydrated) {
               // 调用 insert 钩子
               // inserted：被绑定元素插入父节点时调用
               invokeInsertHook(vnode, insertedVnodeQueue, true)
               return oldVnode
             } else if (process.env.NODE_ENV !== 'production') {
+              const mismatch = hydrationMismatch
+              const mismatchVm = hydrationMismatchVm
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
                 'server-rendered content. This is likely caused by incorrect ' +
                 'HTML markup, for example nesting block-level elements inside ' +
                 '<p>, or missing <tbody>. Bailing hydration and performing ' +
-                'full client-side render.'
+                'full client-side render.' +
+                (mismatch ? `\n\n${formatMismatchReport(mismatch)}` : ''),
+                mismatchVm
               )
             }
           }
@@ -944,7 +1187,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -982,7 +1225,7 @@ export function createPatchFunction (backend) {
         if (isDef(parentElm)) {
           // 渲染完vnode，需要删除原生真实的父dom
           removeVnodes([oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
@@ -28,6 +28,10 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // renders its children between two anchors
+  anchor: Node | void; // end anchor of a fragment, elm is the start anchor
+  teleport: VNodeTeleport | void; // renders fragment children into a target
+  targetAnchor: Node | void; // end of the teleported children in the target
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -74,6 +78,10 @@ export default class VNode {
     this.asyncFactory = asyncFactory    // 异步工厂方法
     this.asyncMeta = undefined          // 异步Meta
     this.isAsyncPlaceholder = false     // 是否为异步占位
+    this.isFragment = false             // 是否为片段
+    this.anchor = undefined             // 片段的结束锚点
+    this.teleport = undefined           // teleport 的目标信息
+    this.targetAnchor = undefined       // teleport 目标中的锚点
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -93,6 +101,23 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// 创建片段vnode, 用于渲染多个根节点
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
+// 创建teleport vnode, 子节点渲染到另一个目标dom中
+export function createTeleportVNode (
+  children: Array<VNode>,
+  teleport: VNodeTeleport
+): VNode {
+  const node = createFragmentVNode(children)
+  node.teleport = teleport
+  return node
+}
+
 // 创建文本vnode, 文本vnode没有tag
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
@@ -126,6 +151,10 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.isFragment = vnode.isFragment
+  cloned.anchor = vnode.anchor
+  cloned.teleport = vnode.teleport
+  cloned.targetAnchor = vnode.targetAnchor
   // 通过cloneVNode创建的vnode设置标记位
   cloned.isCloned = true
   return cloned
@@ -12,6 +12,7 @@
 import config from 'core/config'
 import { warn, cached } from 'core/util/index'
 import { mark, measure } from 'core/util/perf'
+import { profiling, now, recordProfile } from 'core/util/profiler'
 
 // 引入runtime版的vue构造函数
 import Vue from './runtime/index'
@@ -104,15 +105,18 @@ Vue.prototype.$mount = function (
       if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
         mark('compile')
       }
+      const profileStart = profiling ? now() : 0
 
       // 编译的入口
       // 将模板编译(compile)成render函数, 并且赋值给options.render
       const { render, staticRenderFns } = compileToFunctions(template, {
         outputSourceRange: process.env.NODE_ENV !== 'production',
+        sourceMap: process.env.NODE_ENV !== 'production' && config.templateSourceMaps,
         shouldDecodeNewlines,
         shouldDecodeNewlinesForHref,
         delimiters: options.delimiters,
-        comments: options.comments
+        comments: options.comments,
+        cache: config.compileCache
       }, this)
       // 注意: 这里是通过template生成的render函数
       options.render = render
@@ -125,6 +129,9 @@ Vue.prototype.$mount = function (
         mark('compile end')
         measure(`vue ${this._name} compile`, 'compile', 'compile end')
       }
+      if (profiling) {
+        recordProfile('compile', this, profileStart)
+      }
     }
   }
   // 开始执行挂载
@@ -1,7 +1,11 @@
 import Transition from './transition'
 import TransitionGroup from './transition-group'
+import Teleport from './teleport'
+import Suspense from './suspense'
 
 export default {
   Transition,
-  TransitionGroup
+  TransitionGroup,
+  Teleport,
+  Suspense
 }
@@ -0,0 +1,69 @@
+/* @flow */
+
+// Shows a fallback while async components or async setup() below it are
+// pending.
+
+import { extend } from 'core/util/index'
+import { cloneVNode, createFragmentVNode } from 'core/vdom/vnode'
+import { getSingleChild } from 'core/vdom/helpers/index'
+
+// a fresh copy, so the v-show value is diffed even when the slot
+// vnode is reused from the previous render
+function withShow (vnode: VNode, show: boolean, key: string): VNode {
+  const cloned = cloneVNode(vnode)
+  const data = cloned.data = extend({}, vnode.data)
+  const directives = data.directives
+    ? data.directives.filter(dir => !(dir: any).suspense)
+    : []
+  directives.push(({ name: 'show', value: show, suspense: true }: any))
+  data.directives = directives
+  if (cloned.key == null) {
+    cloned.key = key
+  }
+  return cloned
+}
+
+export default {
+  name: 'suspense',
+
+  props: {
+    // an element to wrap the fallback and the content in. By default they
+    // are rendered as a fragment.
+    tag: String
+  },
+
+  data () {
+    return {
+      pending: 0
+    }
+  },
+
+  created () {
+    this._isSuspense = true
+    this._pendingKeys = []
+  },
+
+  render (h: Function) {
+    const pending = this.pending > 0
+    const children = []
+    if (pending) {
+      const fallback = getSingleChild(this, this.$slots.fallback, 'fallback', 'suspense')
+      if (fallback) {
+        const cloned = cloneVNode(fallback)
+        if (cloned.key == null) {
+          cloned.key = '__suspense_fallback'
+        }
+        children.push(cloned)
+      }
+    }
+    // the default content is always mounted, so that its async children
+    // start loading, but stays hidden until nothing is pending
+    const content = getSingleChild(this, this.$slots.default, 'default', 'suspense')
+    if (content) {
+      children.push(withShow(content, !pending, '__suspense_content'))
+    }
+    // always a fragment, even with a single child, so that the content is
+    // patched in place when the fallback is removed
+    return this.tag ? h(this.tag, children) : createFragmentVNode(children)
+  }
+}
@@ -0,0 +1,52 @@
+/* @flow */
+
+// Renders its children into another DOM element, while they stay in place
+// in the component tree, so $parent, provide/inject and events are not
+// affected. Only the start and end markers are rendered in place.
+
+import { warn, isServerRendering } from 'core/util/index'
+import { createTeleportVNode } from 'core/vdom/vnode'
+
+function resolveTarget (to: string | Element, vm: Component): ?Element {
+  if (typeof to === 'string') {
+    const target = document.querySelector(to)
+    if (!target && process.env.NODE_ENV !== 'production') {
+      warn(
+        `Failed to locate <teleport> target with selector "${to}". ` +
+        `The content is rendered in place instead.`,
+        vm.$parent
+      )
+    }
+    return target
+  }
+  if (!to && process.env.NODE_ENV !== 'production') {
+    warn(`Invalid <teleport> target: ${String(to)}.`, vm.$parent)
+  }
+  return to
+}
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector or an element
+    to: {
+      required: true
+    },
+    // render the content in place
+    disabled: Boolean
+  },
+
+  render () {
+    const to = this.to
+    const disabled = this.disabled
+    return createTeleportVNode(this.$slots.default || [], {
+      to,
+      disabled,
+      target: disabled || isServerRendering()
+        ? null
+        : resolveTarget(to, this)
+    })
+  }
+}
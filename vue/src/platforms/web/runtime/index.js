@@ -24,6 +24,7 @@ import {
 } from 'web/util/index'
 
 import { patch } from './patch'
+import { hydrateIslands } from './islands'
 // 引入需要打包的directives
 import platformDirectives from './directives/index'
 // 引入需要打包的components
@@ -63,6 +64,9 @@ Vue.prototype.$mount = function (
   return mountComponent(this, el, hydrating)
 }
 
+// partial hydration of server-rendered islands
+Vue.hydrateIslands = hydrateIslands
+
 // devtools global hook
 /* istanbul ignore next */
 if (inBrowser) {
@@ -0,0 +1,125 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { warn, handleError, resolveAsset } from 'core/util/index'
+import { isPlainObject, isUndef, noop } from 'shared/util'
+import {
+  ISLAND_ATTR,
+  ISLAND_PROPS_ATTR,
+  ISLAND_HYDRATE_ATTR
+} from 'shared/constants'
+
+const INTERACTION_EVENTS = ['click', 'focusin', 'mouseover', 'touchstart']
+
+function onVisible (el: Element, hydrate: Function): Function {
+  const IO = (window: any).IntersectionObserver
+  if (isUndef(IO)) {
+    hydrate()
+    return noop
+  }
+  const observer = new IO(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect()
+      hydrate()
+    }
+  })
+  observer.observe(el)
+  return () => observer.disconnect()
+}
+
+function onIdle (hydrate: Function): Function {
+  const w: any = window
+  if (typeof w.requestIdleCallback === 'function') {
+    const id = w.requestIdleCallback(hydrate)
+    return () => w.cancelIdleCallback(id)
+  }
+  const id = setTimeout(hydrate, 1)
+  return () => clearTimeout(id)
+}
+
+// the event that triggers hydration is not replayed on the hydrated island
+function onInteraction (el: Element, hydrate: Function): Function {
+  const cancel = () => {
+    INTERACTION_EVENTS.forEach(e => el.removeEventListener(e, handler, true))
+  }
+  const handler = () => {
+    cancel()
+    hydrate()
+  }
+  INTERACTION_EVENTS.forEach(e => el.addEventListener(e, handler, true))
+  return cancel
+}
+
+function resolveIsland (name: string, components?: Object): Promise<any> {
+  const def = components
+    ? resolveAsset({ components }, 'components', name)
+    : resolveAsset(Vue.options, 'components', name)
+  if (isUndef(def)) {
+    return Promise.reject(new Error(`Unknown island component: ${name}`))
+  }
+  if (isPlainObject(def)) {
+    return Promise.resolve(Vue.extend(def))
+  }
+  if (isUndef(def.cid)) {
+    // async component factory, e.g. () => import('./Island.vue')
+    return Promise.resolve(def()).then(comp => {
+      if (comp && comp.__esModule && comp.default) {
+        comp = comp.default
+      }
+      return isPlainObject(comp) ? Vue.extend(comp) : comp
+    })
+  }
+  return Promise.resolve(def)
+}
+
+function hydrateIsland (el: Element, name: string, components?: Object) {
+  // already hydrated, e.g. as part of a fully hydrated app
+  if ((el: any).__vue__) {
+    return
+  }
+  const props = el.getAttribute(ISLAND_PROPS_ATTR)
+  resolveIsland(name, components).then(Ctor => {
+    if ((el: any).__vue__) return
+    new Ctor({
+      propsData: props ? JSON.parse(props) : {}
+    }).$mount(el, true)
+  }).catch(e => {
+    handleError(e, null, `hydration of island ${name}`, 'ISLAND_HYDRATION')
+  })
+}
+
+/**
+ * Hydrate the islands rendered by the server, each one once its `hydrate`
+ * trigger fires, leaving the rest of the server-rendered page static.
+ * Island components are looked up in `components`, or among the globally
+ * registered ones. Returns a function that cancels the pending triggers.
+ */
+export function hydrateIslands (
+  components?: Object,
+  root?: Element | Document
+): Function {
+  const cancels = []
+  const islands = (root || document).querySelectorAll(`[${ISLAND_ATTR}]`)
+  for (let i = 0; i < islands.length; i++) {
+    const el = islands[i]
+    const name = el.getAttribute(ISLAND_ATTR) || ''
+    const trigger = el.getAttribute(ISLAND_HYDRATE_ATTR)
+    const hydrate = () => hydrateIsland(el, name, components)
+    if (trigger === 'visible') {
+      cancels.push(onVisible(el, hydrate))
+    } else if (trigger === 'idle') {
+      cancels.push(onIdle(hydrate))
+    } else if (trigger === 'interaction') {
+      cancels.push(onInteraction(el, hydrate))
+    } else if (trigger !== 'never') {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Invalid hydrate trigger "${String(trigger)}" for island ${name}, ` +
+        `expected "visible", "idle", "interaction" or "never".`
+      )
+      hydrate()
+    }
+  }
+  return () => {
+    cancels.forEach(cancel => cancel())
+  }
+}
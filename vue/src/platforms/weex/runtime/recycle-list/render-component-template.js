@@ -22,7 +22,7 @@ export function renderRecyclableComponentTemplate (vnode: MountedComponentVNode)
     try {
       return render.call(vm)
     } catch (err) {
-      handleError(err, vm, `@render`)
+      handleError(err, vm, `@render`, 'RENDER')
     }
   } else {
     warn(
@@ -1,11 +1,13 @@
 /* @flow */
 
+import { extend } from 'shared/util'
 import { createPromiseCallback } from '../util'
 import { createBundleRunner } from './create-bundle-runner'
 import type { Renderer, RenderOptions } from '../create-renderer'
 import { createSourceMapConsumers, rewriteErrorTrace } from './source-map-support'
 
 const fs = require('fs')
+const hash = require('hash-sum')
 const path = require('path')
 const PassThrough = require('stream').PassThrough
 
@@ -76,7 +78,12 @@ export function createBundleRendererCreator (
       throw new Error(INVALID_MSG)
     }
 
-    const renderer = createRenderer(rendererOptions)
+    // cached component html is only valid for the bundle that rendered it,
+    // so cache keys are tied to the bundle contents by default
+    const renderer = createRenderer(rendererOptions.cacheVersion
+      ? rendererOptions
+      : extend({ cacheVersion: hash(files) }, rendererOptions)
+    )
 
     const run = createBundleRunner(
       entry,
@@ -85,6 +92,35 @@ export function createBundleRendererCreator (
       rendererOptions.runInNewContext
     )
 
+    const renderToWebStream = (context?: Object): ReadableStream => {
+      let reader
+      return new ReadableStream(({
+        start () {
+          return run(context).then(app => {
+            reader = renderer.renderToWebStream(app, context).getReader()
+          }, err => {
+            rewriteErrorTrace(err, maps)
+            throw err
+          })
+        },
+        pull (controller) {
+          return reader.read().then(({ done, value }) => {
+            if (done) {
+              controller.close()
+            } else {
+              controller.enqueue(value)
+            }
+          }, err => {
+            rewriteErrorTrace(err, maps)
+            throw err
+          })
+        },
+        cancel (reason) {
+          return reader && reader.cancel(reason)
+        }
+      }: any))
+    }
+
     return {
       renderToString: (context?: Object, cb: any) => {
         if (typeof context === 'function') {
@@ -145,6 +181,16 @@ export function createBundleRendererCreator (
         })
 
         return res
+      },
+
+      renderToWebStream,
+
+      pipeToWebWritable: (context: ?Object, writable: WritableStream): Promise<void> => {
+        return (renderToWebStream(context || undefined).pipeTo(writable): any)
+      },
+
+      invalidateTags: (tags: Array<string> | string): ?Promise<void> => {
+        return renderer.invalidateTags(tags)
       }
     }
   }
@@ -0,0 +1,104 @@
+/* @flow */
+
+export type ComponentCacheEntry = {
+  html: string;
+  components: Set<Function>;
+  tags?: Array<string>;
+};
+
+export type LRUCacheOptions = {
+  // maximum number of entries
+  max?: number;
+  // maximum total length of the cached html
+  maxSize?: number;
+};
+
+export type LRUCache = {
+  get: (key: string) => ComponentCacheEntry | void;
+  set: (key: string, entry: ComponentCacheEntry) => void;
+  has: (key: string) => boolean;
+  delete: (key: string) => void;
+  invalidateTags: (tags: Array<string> | string) => void;
+  clear: () => void;
+};
+
+/**
+ * The in-memory component cache used when the renderer is not given one.
+ * The least recently used entries are evicted once there are more than
+ * `max` entries, or their html is longer than `maxSize` in total.
+ */
+export function createLRUCache (options?: LRUCacheOptions = {}): LRUCache {
+  const max = options.max || 1000
+  const maxSize = options.maxSize || Infinity
+  // Map iterates in insertion order, so re-inserting an entry on access
+  // keeps the least recently used one first
+  const entries: Map<string, ComponentCacheEntry> = new Map()
+  // $flow-disable-line
+  const keysByTag: { [tag: string]: Set<string> } = Object.create(null)
+  let size = 0
+
+  const remove = (key: string) => {
+    const entry = entries.get(key)
+    if (!entry) return
+    entries.delete(key)
+    size -= entry.html.length
+    if (entry.tags) {
+      entry.tags.forEach(tag => {
+        const keys = keysByTag[tag]
+        if (keys) {
+          keys.delete(key)
+          if (!keys.size) delete keysByTag[tag]
+        }
+      })
+    }
+  }
+
+  return {
+    get (key: string): ComponentCacheEntry | void {
+      const entry = entries.get(key)
+      if (entry) {
+        entries.delete(key)
+        entries.set(key, entry)
+      }
+      return entry
+    },
+
+    set (key: string, entry: ComponentCacheEntry) {
+      remove(key)
+      if (entry.html.length > maxSize) return
+      entries.set(key, entry)
+      size += entry.html.length
+      if (entry.tags) {
+        entry.tags.forEach(tag => {
+          (keysByTag[tag] || (keysByTag[tag] = new Set())).add(key)
+        })
+      }
+      while (entries.size > max || size > maxSize) {
+        remove((entries.keys().next().value: any))
+      }
+    },
+
+    has (key: string): boolean {
+      return entries.has(key)
+    },
+
+    delete: remove,
+
+    invalidateTags (tags: Array<string> | string) {
+      (Array.isArray(tags) ? tags : [tags]).forEach(tag => {
+        const keys = keysByTag[tag]
+        if (keys) {
+          Array.from(keys).forEach(remove)
+        }
+      })
+    },
+
+    clear () {
+      entries.clear()
+      Object.keys(keysByTag).forEach(tag => {
+        delete keysByTag[tag]
+      })
+      size = 0
+    }
+  }
+}
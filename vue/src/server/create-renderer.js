@@ -1,28 +1,40 @@
 /* @flow */
 
 import RenderStream from './render-stream'
+import { createWebStream } from './render-web-stream'
 import { createWriteFunction } from './write'
 import { createRenderFunction } from './render'
 import { createPromiseCallback } from './util'
 import TemplateRenderer from './template-renderer/index'
 import type { ClientManifest } from './template-renderer/index'
+import { createLRUCache } from './component-cache'
+import type { CompileCache } from 'compiler/to-function'
 
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>;
   renderToStream: (component: Component, context?: Object) => stream$Readable;
+  renderToWebStream: (component: Component, context?: Object) => ReadableStream;
+  pipeToWebWritable: (component: Component, context: ?Object, writable: WritableStream) => Promise<void>;
+  invalidateTags: (tags: Array<string> | string) => ?Promise<void>;
 };
 
+// entries are { html, components, tags }. get/has may also return promises.
 type RenderCache = {
-  get: (key: string, cb?: Function) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: Function) => boolean | void;
+  get: (key: string, cb?: Function) => ?Object | Promise<?Object>;
+  set: (key: string, val: Object) => void;
+  has?: (key: string, cb?: Function) => boolean | void | Promise<boolean>;
+  invalidateTags?: (tags: Array<string>) => ?Promise<void>;
 };
 
 export type RenderOptions = {
   modules?: Array<(vnode: VNode) => ?string>;
   directives?: Object;
   isUnaryTag?: Function;
-  cache?: RenderCache;
+  cache?: RenderCache | false;
+  cacheVersion?: string;
+  onCacheHit?: (key: string, name: string) => void;
+  onCacheMiss?: (key: string, name: string) => void;
+  compileCache?: CompileCache;
   template?: string | (content: string, context: any) => string;
   inject?: boolean;
   basedir?: string;
@@ -40,12 +52,25 @@ export function createRenderer ({
   template,
   inject,
   cache,
+  cacheVersion,
+  onCacheHit,
+  onCacheMiss,
+  compileCache,
   shouldPreload,
   shouldPrefetch,
   clientManifest,
   serializer
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  // components with serverCacheKey are cached in memory unless the cache
+  // is disabled with `cache: false`
+  const componentCache = cache === false
+    ? undefined
+    : cache || createLRUCache()
+  const render = createRenderFunction(modules, directives, isUnaryTag, componentCache, compileCache, {
+    version: cacheVersion,
+    onHit: onCacheHit,
+    onMiss: onCacheMiss
+  })
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
@@ -55,6 +80,33 @@ export function createRenderer ({
     serializer
   })
 
+  const renderToWebStream = (
+    component: Component,
+    context?: Object
+  ): ReadableStream => {
+    if (context) {
+      templateRenderer.bindRenderFns(context)
+    }
+    if (typeof template === 'function') {
+      throw new Error(`function template is only supported in renderToString.`)
+    }
+    const ctx = context || {}
+    return createWebStream(
+      (write, done) => {
+        render(component, write, context, done, true)
+      },
+      template
+        ? () => templateRenderer.renderTemplateStart(ctx)
+        : null,
+      () => {
+        if (context && context.rendered) {
+          context.rendered(context)
+        }
+        return template ? templateRenderer.renderTemplateEnd(ctx) : ''
+      }
+    )
+  }
+
   return {
     renderToString (
       component: Component,
@@ -121,7 +173,7 @@ export function createRenderer ({
         templateRenderer.bindRenderFns(context)
       }
       const renderStream = new RenderStream((write, done) => {
-        render(component, write, context, done)
+        render(component, write, context, done, true)
       })
       if (!template) {
         if (context && context.rendered) {
@@ -147,6 +199,23 @@ export function createRenderer ({
         }
         return templateStream
       }
+    },
+
+    renderToWebStream,
+
+    pipeToWebWritable (
+      component: Component,
+      context: ?Object,
+      writable: WritableStream
+    ): Promise<void> {
+      return (renderToWebStream(component, context || undefined).pipeTo(writable): any)
+    },
+
+    invalidateTags (tags: Array<string> | string): ?Promise<void> {
+      if (!componentCache || !componentCache.invalidateTags) {
+        throw new Error('renderer cache must implement invalidateTags to invalidate by tag.')
+      }
+      return componentCache.invalidateTags(Array.isArray(tags) ? tags : [tags])
     }
   }
 }
@@ -23,6 +23,7 @@ import {
 } from './modules'
 
 import { escape } from 'web/server/util'
+import { markSource } from 'compiler/codegen/source-map'
 import { optimizability } from './optimizer'
 import type { CodegenResult } from 'compiler/codegen/index'
 
@@ -49,6 +50,10 @@ export function generate (
 }
 
 function genSSRElement (el: ASTElement, state: CodegenState): string {
+  return markSource(genSSRElementCode(el, state), el, state)
+}
+
+function genSSRElementCode (el: ASTElement, state: CodegenState): string {
   if (el.for && !el.forProcessed) {
     return genFor(el, state, genSSRElement)
   } else if (el.if && !el.ifProcessed) {
@@ -97,7 +102,7 @@ function genSSRChildren (el, state, checkSkip) {
 function genSSRNode (el, state) {
   return el.type === 1
     ? genSSRElement(el, state)
-    : genText(el)
+    : genText(el, state)
 }
 
 function genChildrenAsStringNode (el, state) {
@@ -223,7 +228,7 @@ function nodesToSegments (
     if (c.type === 1) {
       segments.push.apply(segments, elementToSegments(c, state))
     } else if (c.type === 2) {
-      segments.push({ type: INTERPOLATION, value: c.expression })
+      segments.push({ type: INTERPOLATION, value: markSource(c.expression, c, state) })
     } else if (c.type === 3) {
       let text = escape(c.text)
       if (c.isComment) {
@@ -17,4 +17,4 @@ export const createCompiler = createCompilerCreator(function baseCompile (
     render: code.render,
     staticRenderFns: code.staticRenderFns
   }
-})
+}, 'ssr')
@@ -47,9 +47,12 @@ function walk (node: ASTNode, isRoot?: boolean) {
     node.ssrOptimizability = optimizability.CHILDREN
   }
   if (node.type === 1) {
+    // the nodes of a root <template> are fragment roots and must stay
+    // separate VNodes, so they match the nodes rendered on the client
+    const isFragmentRoot = isRoot && node.tag === 'template'
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i]
-      walk(child)
+      walk(child, isFragmentRoot)
       check(child)
     }
     if (node.ifConditions) {
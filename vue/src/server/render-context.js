@@ -1,6 +1,6 @@
 /* @flow */
 
-import { isUndef } from 'shared/util'
+import { isUndef, isPromise } from 'shared/util'
 
 type RenderState = {
   type: 'Element';
@@ -21,14 +21,47 @@ type RenderState = {
   buffer: Array<string>;
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
+  tagBuffer: Array<Set<string>>;
   key: string;
+} | {
+  type: 'ErrorBoundary';
+  boundary: Component;
+  node: VNode;
+  isRoot: boolean;
+  write: Function;
+  html: string;
+  cacheSnapshot: string;
+} | {
+  type: 'Teleport';
+  to: string;
+  write: Function;
+  html: string;
+} | {
+  type: 'Deferred';
+  end: string;
+} | {
+  type: 'Island';
+};
+
+export type CacheOptions = {
+  version?: string;
+  onHit?: (key: string, name: string) => void;
+  onMiss?: (key: string, name: string) => void;
+};
+
+type DeferredComponent = {
+  id: number;
+  child: Component;
+  node: VNode;
+  parent: Component;
+  ready: Promise<mixed>;
 };
 
 export class RenderContext {
   userContext: ?Object;
   activeInstance: Component;
   renderStates: Array<RenderState>;
-  write: (text: string, next: Function) => void;
+  write: Function;
   renderNode: (node: VNode, isRoot: boolean, context: RenderContext) => void;
   next: () => void;
   done: (err: ?Error) => void;
@@ -38,8 +71,21 @@ export class RenderContext {
   isUnaryTag: (tag: string) => boolean;
 
   cache: any;
+  compileCache: any;
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
+  cacheVersion: ?string;
+  onCacheHit: ?(key: string, name: string) => void;
+  onCacheMiss: ?(key: string, name: string) => void;
+
+  // components waiting to be rendered after the main tree, when streaming
+  deferred: ?Array<DeferredComponent>;
+  deferredCount: number;
+  swapScriptWritten: boolean;
+
+  // islands being rendered, and the one waiting for its root element
+  islandDepth: number;
+  pendingIsland: ?{ name: string, hydrate: string, props: Object };
 
   constructor (options: Object) {
     this.userContext = options.userContext
@@ -59,8 +105,21 @@ export class RenderContext {
       throw new Error('renderer cache must implement at least get & set.')
     }
     this.cache = cache
-    this.get = cache && normalizeAsync(cache, 'get')
-    this.has = cache && normalizeAsync(cache, 'has')
+    const onError = err => this.done(err)
+    this.get = cache && normalizeAsync(cache, 'get', onError)
+    this.has = cache && normalizeAsync(cache, 'has', onError)
+    const cacheOptions = options.cacheOptions || {}
+    this.cacheVersion = cacheOptions.version
+    this.onCacheHit = cacheOptions.onHit
+    this.onCacheMiss = cacheOptions.onMiss
+    this.compileCache = options.compileCache
+
+    this.deferred = options.deferred ? [] : null
+    this.deferredCount = 0
+    this.swapScriptWritten = false
+
+    this.islandDepth = 0
+    this.pendingIsland = null
 
     this.next = this.next.bind(this)
   }
@@ -93,10 +152,11 @@ export class RenderContext {
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
-          const { buffer, bufferIndex, componentBuffer, key } = lastState
+          const { buffer, bufferIndex, componentBuffer, tagBuffer, key } = lastState
           const result = {
             html: buffer[bufferIndex],
-            components: componentBuffer[bufferIndex]
+            components: componentBuffer[bufferIndex],
+            tags: Array.from(tagBuffer[bufferIndex])
           }
           this.cache.set(key, result)
           if (bufferIndex === 0) {
@@ -109,22 +169,73 @@ export class RenderContext {
             buffer[bufferIndex - 1] += result.html
             const prev = componentBuffer[bufferIndex - 1]
             result.components.forEach(c => prev.add(c))
+            const prevTags = tagBuffer[bufferIndex - 1]
+            result.tags.forEach(tag => prevTags.add(tag))
           }
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
+          tagBuffer.length = bufferIndex
+          break
+        case 'ErrorBoundary':
+          this.renderStates.pop()
+          const write = this.write = lastState.write
+          if (lastState.boundary.error) {
+            // drop the buffered subtree and render the fallback instead
+            if (write.caching) {
+              write.cacheBuffer[write.cacheBuffer.length - 1] = lastState.cacheSnapshot
+            }
+            const fallback = lastState.boundary._render()
+            fallback.parent = lastState.node
+            return this.renderNode(fallback, lastState.isRoot, this)
+          }
+          // the buffered html is already in the cache buffer, if caching
+          const caching = write.caching
+          write.caching = false
+          return write(lastState.html, () => {
+            write.caching = caching
+            this.next()
+          })
+        case 'Teleport':
+          this.renderStates.pop()
+          this.write = lastState.write
+          const userContext = this.userContext
+          if (userContext) {
+            const teleports = userContext.teleports || (userContext.teleports = {})
+            teleports[lastState.to] = (teleports[lastState.to] || '') +
+              lastState.html + '<!--teleport anchor-->'
+          }
+          break
+        case 'Deferred':
+          this.renderStates.pop()
+          return this.write(lastState.end, this.next)
+        case 'Island':
+          this.renderStates.pop()
+          this.islandDepth--
           break
       }
     }
   }
 }
 
-function normalizeAsync (cache, method) {
+// get/has may take a callback, return a promise or return the result.
+// A failing lookup is treated as a miss rather than failing the render.
+function normalizeAsync (cache, method, onError) {
   const fn = cache[method]
   if (isUndef(fn)) {
     return
   } else if (fn.length > 1) {
     return (key, cb) => fn.call(cache, key, cb)
   } else {
-    return (key, cb) => cb(fn.call(cache, key))
+    return (key, cb) => {
+      const res = fn.call(cache, key)
+      if (isPromise(res)) {
+        res
+          .then(value => value, () => method === 'has' ? false : undefined)
+          .then(cb)
+          .catch(onError)
+      } else {
+        cb(res)
+      }
+    }
   }
 }
@@ -41,7 +41,12 @@ export default class RenderStream extends stream.Readable {
       this.emit('error', err)
     })
 
-    this.end = () => {
+    this.end = (err?: Error) => {
+      // e.g. a rejected serverPrefetch or async component
+      if (err) {
+        this.emit('error', err)
+        return
+      }
       this.emit('beforeEnd')
       // the rendering is finished; we should push out the last of the buffer.
       this.done = true
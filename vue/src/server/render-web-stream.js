@@ -0,0 +1,118 @@
+/* @flow */
+
+import { createWriteFunction } from './write'
+
+// bytes queued before rendering is paused, same as the default
+// highWaterMark of Node streams
+const HIGH_WATER_MARK = 16 * 1024
+
+/**
+ * The WHATWG streams counterpart of RenderStream: a ReadableStream of UTF-8
+ * encoded chunks, for runtimes without Node streams (edge workers, service
+ * workers). Rendering is paused while the stream's queue is full, and
+ * resumed when the consumer pulls.
+ *
+ * `start` and `end` return html emitted before the first chunk and after
+ * the last one, e.g. the parts of the page template.
+ */
+export function createWebStream (
+  render: (write: Function, done: Function) => void,
+  start?: ?() => string,
+  end?: ?() => string
+): ReadableStream {
+  if (typeof ReadableStream === 'undefined') {
+    throw new Error(
+      'ReadableStream is not available in this environment. ' +
+      'Use renderToStream instead, or provide a WHATWG streams polyfill.'
+    )
+  }
+
+  const encoder = new TextEncoder()
+  let controller: any
+  let rendering = false
+  let started = false
+  let finished = false
+  let next: ?Function
+
+  const fail = err => {
+    if (!finished) {
+      finished = true
+      controller.error(err)
+    }
+  }
+
+  const enqueue = (text: string) => {
+    if (!started) {
+      started = true
+      const html = start ? start() : ''
+      if (html) {
+        controller.enqueue(encoder.encode(html))
+      }
+    }
+    if (text) {
+      controller.enqueue(encoder.encode(text))
+    }
+  }
+
+  const write = createWriteFunction((text, n) => {
+    if (finished) {
+      return true
+    }
+    enqueue(text)
+    if (controller.desiredSize > 0) {
+      return false
+    }
+    // wait for the consumer to pull
+    next = n
+    return true
+  }, fail)
+
+  const done = (err?: Error) => {
+    if (err) {
+      return fail(err)
+    }
+    if (finished) {
+      return
+    }
+    try {
+      enqueue(end ? end() : '')
+      finished = true
+      controller.close()
+    } catch (e) {
+      fail(e)
+    }
+  }
+
+  // the flow lib declares the underlying source methods with parameters
+  const source: any = {
+    start (c) {
+      controller = c
+    },
+
+    pull () {
+      try {
+        if (next) {
+          const n = next
+          next = null
+          n()
+        } else if (!rendering) {
+          rendering = true
+          render(write, done)
+        }
+        // otherwise waiting for async components, which write when resolved
+      } catch (e) {
+        fail(e)
+      }
+    },
+
+    cancel () {
+      finished = true
+      next = null
+    }
+  }
+
+  return new ReadableStream(source, {
+    highWaterMark: HIGH_WATER_MARK,
+    size: (chunk: any) => chunk.byteLength
+  })
+}
@@ -1,14 +1,22 @@
 /* @flow */
 
 import { escape } from 'web/server/util'
-import { SSR_ATTR } from 'shared/constants'
+import {
+  SSR_ATTR,
+  ISLAND_ATTR,
+  ISLAND_PROPS_ATTR,
+  ISLAND_HYDRATE_ATTR
+} from 'shared/constants'
 import { RenderContext } from './render-context'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
+import { handleError } from 'core/util/error'
+import { isErrorBoundary } from 'core/components/error-boundary'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import type { CacheOptions } from './render-context'
 
-import { isDef, isUndef, isTrue } from 'shared/util'
+import { isDef, isUndef, isTrue, noop, extend } from 'shared/util'
 
 import {
   createComponent,
@@ -29,13 +37,14 @@ const onCompilationError = (err, vm) => {
   throw new Error(`\n\u001b[31m${err}${trace}\u001b[39m\n`)
 }
 
-const normalizeRender = vm => {
+const normalizeRender = (vm, context) => {
   const { render, template, _scopeId } = vm.$options
   if (isUndef(render)) {
     if (template) {
       const compiled = ssrCompileToFunctions(template, {
         scopeId: _scopeId,
-        warn: onCompilationError
+        warn: onCompilationError,
+        cache: context.compileCache
       }, vm)
 
       vm.$options.render = compiled.render
@@ -52,6 +61,13 @@ const normalizeRender = vm => {
 
 function waitForServerPrefetch (vm, resolve, reject) {
   let handlers = vm.$options.serverPrefetch
+  // an async setup() has to resolve before the component can render
+  if (vm._setupPromise && vm._setupPending) {
+    const setupPromise = vm._setupPromise
+    const next = () => waitForServerPrefetch(vm, resolve, reject)
+    setupPromise.then(next, reject)
+    return
+  }
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
     try {
@@ -72,12 +88,26 @@ function waitForServerPrefetch (vm, resolve, reject) {
 }
 
 function renderNode (node, isRoot, context) {
+  const island = context.pendingIsland
+  if (island && isUndef(node.componentOptions)) {
+    if (isDef(node.tag) && !node.isString) {
+      markIslandRoot(node, island)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warnOnce(
+        `[vue-server-renderer] Island component ${island.name} ` +
+        `must render a single root element.`
+      )
+    }
+    context.pendingIsland = null
+  }
   if (node.isString) {
     renderStringNode(node, context)
   } else if (isDef(node.componentOptions)) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -93,6 +123,20 @@ function renderNode (node, isRoot, context) {
   }
 }
 
+// tags of the components rendered into a cached component are added to its
+// entry, so that invalidating a tag also drops the cached ancestors
+function addCacheTags (tags, write) {
+  if (write.caching && tags && tags.length) {
+    const current = write.tagBuffer[write.tagBuffer.length - 1]
+    tags.forEach(tag => current.add(tag))
+  }
+}
+
+function getCacheTags (options, props) {
+  const tags = options.serverCacheTags
+  return typeof tags === 'function' ? tags(props || {}) : tags
+}
+
 function registerComponentForCache (options, write) {
   // exposed by vue-loader, need to call this if cache hit because
   // component lifecycle hooks will not be called.
@@ -119,44 +163,40 @@ function renderComponent (node, isRoot, context) {
       renderComponentInner(node, isRoot, context)
       return
     }
-    const key = name + '::' + rawKey
+    // keys are namespaced by the build, so that entries are not shared
+    // across releases
+    const version = context.cacheVersion
+    const key = (version ? version + '::' : '') + name + '::' + rawKey
     const { has, get } = context
+    const hit = res => {
+      if (context.onCacheHit) {
+        context.onCacheHit(key, name)
+      }
+      if (isDef(registerComponent)) {
+        registerComponent(userContext)
+      }
+      res.components.forEach(register => register(userContext))
+      addCacheTags(res.tags, write)
+      write(res.html, next)
+    }
+    const miss = () => {
+      if (context.onCacheMiss) {
+        context.onCacheMiss(key, name)
+      }
+      renderComponentWithCache(node, isRoot, key, context)
+    }
     if (isDef(has)) {
-      has(key, hit => {
-        if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
-          })
+      has(key, found => {
+        if (found === true && isDef(get)) {
+          get(key, res => isDef(res) ? hit(res) : miss())
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          miss()
         }
       })
     } else if (isDef(get)) {
-      get(key, res => {
-        if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
-        } else {
-          renderComponentWithCache(node, isRoot, key, context)
-        }
-      })
+      get(key, res => isDef(res) ? hit(res) : miss())
     }
   } else {
-    if (isDef(getKey) && isUndef(cache)) {
-      warnOnce(
-        `[vue-server-renderer] Component ${
-          Ctor.options.name || '(anonymous)'
-        } implemented serverCacheKey, ` +
-        'but no cache was provided to the renderer.'
-      )
-    }
     if (isDef(getKey) && isUndef(name)) {
       warnOnce(
         `[vue-server-renderer] Components that implement "serverCacheKey" ` +
@@ -174,12 +214,15 @@ function renderComponentWithCache (node, isRoot, key, context) {
   const bufferIndex = buffer.push('') - 1
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  const tagBuffer = write.tagBuffer
+  tagBuffer.push(new Set())
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
     buffer,
     bufferIndex,
-    componentBuffer
+    componentBuffer,
+    tagBuffer
   })
   renderComponentInner(node, isRoot, context)
 }
@@ -188,25 +231,235 @@ function renderComponentInner (node, isRoot, context) {
   const prevActive = context.activeInstance
   // expose userContext on vnode
   node.ssrContext = context.userContext
+  // serverCacheTags may be a user function, only call it when caching
+  if (context.write.caching) {
+    addCacheTags(
+      getCacheTags(node.componentOptions.Ctor.options, node.componentOptions.propsData),
+      context.write
+    )
+  }
   const child = context.activeInstance = createComponentInstanceForVnode(
     node,
     context.activeInstance
   )
-  normalizeRender(child)
+  normalizeRender(child, context)
+
+  if (isTrue(child.$options.serverDefer) && canDefer(context)) {
+    deferComponent(child, node, prevActive, context)
+    return
+  }
 
   const resolve = () => {
-    const childNode = child._render()
-    childNode.parent = node
+    if (isIsland(child, context)) {
+      startIsland(child, node, context)
+    }
+    renderComponentRoot(child, node, isRoot, prevActive, context)
+  }
+
+  const reject = err => {
+    if (!isInErrorBoundary(context)) {
+      return context.done(err)
+    }
+    // let the closest <error-boundary> replace this subtree with its fallback
+    try {
+      handleError(err, child, 'serverPrefetch', 'SERVER_PREFETCH')
+    } catch (e) {
+      return context.done(e)
+    }
     context.renderStates.push({
       type: 'Component',
       prevActive
     })
+    context.write(`<!---->`, context.next)
+  }
+
+  waitForServerPrefetch(child, resolve, reject)
+}
+
+function renderComponentRoot (child, node, isRoot, prevActive, context) {
+  const childNode = child._render()
+  childNode.parent = node
+  context.renderStates.push({
+    type: 'Component',
+    prevActive
+  })
+  if (isErrorBoundary(child)) {
+    renderErrorBoundary(child, node, childNode, isRoot, context)
+  } else {
     renderNode(childNode, isRoot, context)
   }
+}
 
-  const reject = context.done
+// Subtrees are only deferred when streaming, and never into html that is
+// cached or may still be replaced by an error boundary's fallback.
+function canDefer (context) {
+  return isDef(context.deferred) &&
+    !context.write.caching &&
+    !isInErrorBoundary(context)
+}
 
-  waitForServerPrefetch(child, resolve, reject)
+/**
+ * Components with `serverDefer: true` are replaced by a placeholder and the
+ * rest of the page keeps streaming while their serverPrefetch runs. Once
+ * the main tree is done, each deferred subtree is rendered as soon as it is
+ * ready, followed by an inline script that moves it into its placeholder,
+ * so the DOM matches a regular render by the time the client hydrates.
+ */
+function deferComponent (child, node, prevActive, context) {
+  const deferred = (context.deferred: any)
+  const id = context.deferredCount++
+  // start prefetching right away, so slow subtrees load in parallel
+  const ready = new Promise((resolve, reject) => {
+    waitForServerPrefetch(child, resolve, reject)
+  })
+  // rejections are handled once the main tree is done
+  ready.catch(noop)
+  deferred.push({
+    id,
+    child,
+    node,
+    parent: prevActive,
+    ready
+  })
+  context.activeInstance = prevActive
+  context.write(`<template id="${DEFER_ID}${id}"></template>`, context.next)
+}
+
+const DEFER_ID = '__vue-defer-'
+const DEFER_CONTENT_ID = '__vue-defer-content-'
+const SWAP_FN = '$vueDefer'
+
+function renderDeferred (context, done) {
+  const deferred = context.deferred
+  if (isUndef(deferred) || !deferred.length) {
+    return done()
+  }
+  // flush whichever subtree is ready (or has failed) first
+  Promise.race(deferred.map(d => d.ready.then(
+    () => ({ d, error: null }),
+    error => ({ d, error })
+  ))).then(({ d, error }) => {
+    deferred.splice(deferred.indexOf(d), 1)
+    if (error) {
+      // the page shell has been sent already, so the stream can't fail
+      // anymore: the placeholder is left for the client to render into
+      try {
+        handleError(error, d.child, 'serverPrefetch', 'SERVER_PREFETCH')
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error(e)
+      }
+      return renderDeferred(context, done)
+    }
+    const userContext = context.userContext
+    const nonceAttr = userContext && userContext.nonce
+      ? ` nonce="${escape(String(userContext.nonce))}"`
+      : ''
+    let script = `${SWAP_FN}(${d.id})`
+    if (!context.swapScriptWritten) {
+      context.swapScriptWritten = true
+      script = `function ${SWAP_FN}(i){` +
+        `var d=document,p=d.getElementById('${DEFER_ID}'+i),` +
+        `t=d.getElementById('${DEFER_CONTENT_ID}'+i);` +
+        `if(p&&t){p.parentNode.replaceChild(t.content,p)}` +
+        `if(t){t.parentNode.removeChild(t)}` +
+        `}` + script
+    }
+    context.activeInstance = d.parent
+    context.renderStates.push({
+      type: 'Deferred',
+      end: `</template><script${nonceAttr}>${script}</script>`
+    })
+    context.write(`<template id="${DEFER_CONTENT_ID}${d.id}">`, () => {
+      try {
+        renderComponentRoot(d.child, d.node, false, d.parent, context)
+      } catch (e) {
+        done(e)
+      }
+    })
+  }, done)
+}
+
+/**
+ * Components with a `hydrate` option are islands: their root element is
+ * marked with the component name, the trigger and the serialized props, so
+ * that Vue.hydrateIslands() can hydrate them on their own. Islands inside
+ * another island are hydrated along with it and are not marked.
+ */
+function isIsland (vm, context) {
+  const hydrate = vm.$options.hydrate
+  return isDef(hydrate) && hydrate !== 'never' && context.islandDepth === 0
+}
+
+function startIsland (vm, node, context) {
+  const name = vm.$options.name
+  if (isUndef(name)) {
+    warnOnce(
+      `[vue-server-renderer] Components with a "hydrate" option ` +
+      `must also define a unique "name" option.`
+    )
+    return
+  }
+  context.islandDepth++
+  context.renderStates.push({ type: 'Island' })
+  context.pendingIsland = {
+    name,
+    hydrate: String(vm.$options.hydrate),
+    props: node.componentOptions.propsData || {}
+  }
+}
+
+function markIslandRoot (node, island) {
+  if (!node.data) node.data = {}
+  const attrs = node.data.attrs = extend({}, node.data.attrs)
+  attrs[ISLAND_ATTR] = island.name
+  attrs[ISLAND_HYDRATE_ATTR] = island.hydrate
+  attrs[ISLAND_PROPS_ATTR] = JSON.stringify(island.props)
+}
+
+function isInErrorBoundary (context) {
+  const states = context.renderStates
+  for (let i = states.length - 1; i >= 0; i--) {
+    if (states[i].type === 'ErrorBoundary') {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * The subtree of an <error-boundary> is rendered into a buffer, so that it
+ * can still be replaced by the fallback if a descendant throws. The buffer
+ * is flushed (or dropped) in RenderContext#next once the subtree is done.
+ */
+function renderErrorBoundary (boundary, node, childNode, isRoot, context) {
+  const write = context.write
+  const state = {
+    type: 'ErrorBoundary',
+    boundary,
+    node,
+    isRoot,
+    write,
+    html: '',
+    cacheSnapshot: write.caching
+      ? write.cacheBuffer[write.cacheBuffer.length - 1]
+      : ''
+  }
+  const bufferedWrite = (text, next) => {
+    state.html += text
+    // cached components inside the boundary still need their own html
+    if (text && bufferedWrite.caching) {
+      bufferedWrite.cacheBuffer[bufferedWrite.cacheBuffer.length - 1] += text
+    }
+    write('', next)
+  }
+  bufferedWrite.caching = write.caching
+  bufferedWrite.cacheBuffer = write.cacheBuffer
+  bufferedWrite.componentBuffer = write.componentBuffer
+  bufferedWrite.tagBuffer = write.tagBuffer
+  context.renderStates.push(state)
+  context.write = bufferedWrite
+  renderNode(childNode, isRoot, context)
 }
 
 function renderAsyncComponent (node, isRoot, context) {
@@ -323,6 +576,61 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// the anchor comments match the ones created by the client, so that
+// fragments can be hydrated
+function renderFragment (node, context) {
+  const { write, next } = context
+  const children: Array<VNode> = (node.children: any)
+  const teleport = node.teleport
+  if (isDef(teleport) && !teleport.disabled) {
+    return write('<!--teleport start--><!--teleport end-->', () => {
+      renderTeleport(children, String(teleport.to), context)
+    })
+  }
+  const start = isDef(teleport) ? '<!--teleport start-->' : '<!--[-->'
+  const end = isDef(teleport) ? '<!--teleport end-->' : '<!--]-->'
+  if (!children.length) {
+    write(start + end, next)
+  } else {
+    context.renderStates.push({
+      type: 'Element',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: end
+    })
+    write(start, next)
+  }
+}
+
+// teleported children are collected into ssrContext.teleports[to], for the
+// app to inject into the target. They are left out of component caching.
+function renderTeleport (children, to, context) {
+  const write = context.write
+  const state = {
+    type: 'Teleport',
+    to,
+    write,
+    html: ''
+  }
+  const bufferedWrite = (text, next) => {
+    state.html += text
+    write('', next)
+  }
+  bufferedWrite.caching = false
+  bufferedWrite.cacheBuffer = []
+  bufferedWrite.componentBuffer = []
+  bufferedWrite.tagBuffer = []
+  context.renderStates.push(state, {
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length
+  })
+  context.write = bufferedWrite
+  context.next()
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -410,24 +718,30 @@ export function createRenderFunction (
   modules: Array<(node: VNode) => ?string>,
   directives: Object,
   isUnaryTag: Function,
-  cache: any
+  cache: any,
+  compileCache: any,
+  cacheOptions?: CacheOptions
 ) {
   return function render (
     component: Component,
     write: (text: string, next: Function) => void,
     userContext: ?Object,
-    done: Function
+    done: Function,
+    deferred?: boolean
   ) {
     warned = Object.create(null)
     const context = new RenderContext({
       activeInstance: component,
       userContext,
-      write, done, renderNode,
+      write,
+      done: err => err ? done(err) : renderDeferred(context, done),
+      renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache, compileCache, cacheOptions,
+      deferred
     })
     installSSRHelpers(component)
-    normalizeRender(component)
+    normalizeRender(component, context)
 
     const resolve = () => {
       renderNode(component._render(), true, context)
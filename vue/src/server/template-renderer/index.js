@@ -104,25 +104,48 @@ export default class TemplateRenderer {
       return template(content, context)
     }
 
+    return (
+      this.renderTemplateStart(context) +
+      content +
+      this.renderTemplateEnd(context)
+    )
+  }
+
+  // the part of the template before the app content, with head meta,
+  // resource hints and styles injected
+  renderTemplateStart (context: Object): string {
+    const template = this.parsedTemplate
+    if (!template || typeof template === 'function') {
+      throw new Error('renderTemplateStart requires a string template.')
+    }
     if (this.inject) {
       return (
         template.head(context) +
         (context.head || '') +
         this.renderResourceHints(context) +
         this.renderStyles(context) +
-        template.neck(context) +
-        content +
-        this.renderState(context) +
-        this.renderScripts(context) +
-        template.tail(context)
+        template.neck(context)
       )
     } else {
+      return template.head(context) + template.neck(context)
+    }
+  }
+
+  // the part of the template after the app content, with the initial
+  // state and scripts injected
+  renderTemplateEnd (context: Object): string {
+    const template = this.parsedTemplate
+    if (!template || typeof template === 'function') {
+      throw new Error('renderTemplateEnd requires a string template.')
+    }
+    if (this.inject) {
       return (
-        template.head(context) +
-        template.neck(context) +
-        content +
+        this.renderState(context) +
+        this.renderScripts(context) +
         template.tail(context)
       )
+    } else {
+      return template.tail(context)
     }
   }
 
@@ -35,48 +35,14 @@ export default class TemplateStream extends Transform {
 
   start () {
     this.started = true
-    this.push(this.template.head(this.context))
-
-    if (this.inject) {
-      // inline server-rendered head meta information
-      if (this.context.head) {
-        this.push(this.context.head)
-      }
-
-      // inline preload/prefetch directives for initial/async chunks
-      const links = this.renderer.renderResourceHints(this.context)
-      if (links) {
-        this.push(links)
-      }
-
-      // CSS files and inline server-rendered CSS collected by vue-style-loader
-      const styles = this.renderer.renderStyles(this.context)
-      if (styles) {
-        this.push(styles)
-      }
-    }
-
-    this.push(this.template.neck(this.context))
+    // head meta, preload/prefetch directives and CSS are injected here
+    this.push(this.renderer.renderTemplateStart(this.context))
   }
 
   _flush (done: Function) {
     this.emit('beforeEnd')
-
-    if (this.inject) {
-      // inline initial store state
-      const state = this.renderer.renderState(this.context)
-      if (state) {
-        this.push(state)
-      }
-
-      // embed scripts needed
-      const scripts = this.renderer.renderScripts(this.context)
-      if (scripts) {
-        this.push(scripts)
-      }
-    }
-
-    this.push(this.template.tail(this.context))
+    // initial store state and scripts are injected here
+    this.push(this.renderer.renderTemplateEnd(this.context))
     done()
   }
 }
@@ -1,5 +1,10 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+// markers on the root element of components with a `hydrate` option
+export const ISLAND_ATTR = 'data-island'
+export const ISLAND_PROPS_ATTR = 'data-island-props'
+export const ISLAND_HYDRATE_ATTR = 'data-island-hydrate'
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -18,5 +23,7 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
@@ -0,0 +1,10 @@
+/* @flow */
+
+/**
+ * v-on modifiers registered with Vue.eventModifier(). A wrapper receives
+ * the listener and the modifier argument (e.g. "300" for .debounce.300)
+ * and returns the function to listen with. Shared with the compiler so
+ * that registered modifiers are not mistaken for key aliases.
+ */
+// $flow-disable-line
+export const eventModifiers: { [key: string]: Function } = Object.create(null)
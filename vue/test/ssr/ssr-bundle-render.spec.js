@@ -32,6 +32,8 @@ export function createRenderer (file, options, cb) {
   })
 }
 
+const VERSIONED_KEY_RE = /^\w+::app::1$/
+
 describe('SSR: bundle renderer', () => {
   createAssertions(true)
   createAssertions(false)
@@ -126,13 +128,14 @@ function createAssertions (runInNewContext) {
     }
     createRenderer('cache.js', options, renderer => {
       const expected = '<div data-server-rendered="true">/test</div>'
-      const key = 'app::1'
       renderer.renderToString((err, res) => {
         expect(err).toBeNull()
         expect(res).toBe(expected)
-        expect(get).toHaveBeenCalledWith(key)
         const setArgs = set.calls.argsFor(0)
-        expect(setArgs[0]).toBe(key)
+        const key = setArgs[0]
+        // keys are versioned with a hash of the bundle by default
+        expect(key).toMatch(VERSIONED_KEY_RE)
+        expect(get).toHaveBeenCalledWith(key)
         expect(setArgs[1].html).toBe(expected)
         expect(cache[key].html).toBe(expected)
         renderer.renderToString((err, res) => {
@@ -172,14 +175,14 @@ function createAssertions (runInNewContext) {
     }
     createRenderer('cache.js', options, renderer => {
       const expected = '<div data-server-rendered="true">/test</div>'
-      const key = 'app::1'
       renderer.renderToString((err, res) => {
         expect(err).toBeNull()
         expect(res).toBe(expected)
+        const setArgs = set.calls.argsFor(0)
+        const key = setArgs[0]
+        expect(key).toMatch(VERSIONED_KEY_RE)
         expect(has).toHaveBeenCalledWith(key)
         expect(get).not.toHaveBeenCalled()
-        const setArgs = set.calls.argsFor(0)
-        expect(setArgs[0]).toBe(key)
         expect(setArgs[1].html).toBe(expected)
         expect(cache[key].html).toBe(expected)
         renderer.renderToString((err, res) => {
@@ -194,6 +197,25 @@ function createAssertions (runInNewContext) {
     })
   })
 
+  it('render with cache (cacheVersion)', done => {
+    const set = jasmine.createSpy('set')
+    const options = {
+      runInNewContext,
+      cacheVersion: 'v1',
+      cache: {
+        get: () => {},
+        set
+      }
+    }
+    createRenderer('cache.js', options, renderer => {
+      renderer.renderToString(err => {
+        expect(err).toBeNull()
+        expect(set.calls.argsFor(0)[0]).toBe('v1::app::1')
+        done()
+      })
+    })
+  })
+
   it('render with cache (nested)', done => {
     const cache = new LRU({ maxAge: Infinity })
     spyOn(cache, 'get').and.callThrough()
@@ -204,13 +226,13 @@ function createAssertions (runInNewContext) {
     }
     createRenderer('nested-cache.js', options, renderer => {
       const expected = '<div data-server-rendered="true">/test</div>'
-      const key = 'app::1'
       const context1 = { registered: [] }
       const context2 = { registered: [] }
       renderer.renderToString(context1, (err, res) => {
         expect(err).toBeNull()
         expect(res).toBe(expected)
         expect(cache.set.calls.count()).toBe(3) // 3 nested components cached
+        const key = cache.keys().filter(key => VERSIONED_KEY_RE.test(key))[0]
         const cached = cache.get(key)
         expect(cached.html).toBe(expected)
         expect(cache.get.calls.count()).toBe(1)
@@ -0,0 +1,195 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer, createLRUCache } from '../../packages/vue-server-renderer'
+
+describe('SSR: component cache', () => {
+  let renders
+
+  const user = {
+    name: 'user',
+    props: ['id'],
+    serverCacheKey: props => props.id,
+    serverCacheTags: props => [`user:${props.id}`],
+    render (h) {
+      renders.push(`user ${this.id}`)
+      return h('b', `user ${this.id}`)
+    }
+  }
+
+  const profile = {
+    name: 'profile',
+    props: ['id'],
+    serverCacheKey: props => props.id,
+    serverCacheTags: ['profile'],
+    render (h) {
+      renders.push(`profile ${this.id}`)
+      return h('div', [h(user, { props: { id: this.id }})])
+    }
+  }
+
+  const createApp = () => new Vue({
+    render: h => h(profile, { props: { id: 1 }})
+  })
+
+  const expected = '<div data-server-rendered="true"><b>user 1</b></div>'
+
+  function renderTwice (renderer, cb) {
+    renderer.renderToString(createApp(), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(expected)
+      renderer.renderToString(createApp(), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(expected)
+        cb()
+      })
+    })
+  }
+
+  beforeEach(() => {
+    renders = []
+  })
+
+  it('should cache in memory by default', done => {
+    renderTwice(createRenderer(), () => {
+      expect(renders).toEqual(['profile 1', 'user 1'])
+      done()
+    })
+  })
+
+  it('should not cache with cache: false', done => {
+    renderTwice(createRenderer({ cache: false }), () => {
+      expect(renders).toEqual(['profile 1', 'user 1', 'profile 1', 'user 1'])
+      done()
+    })
+  })
+
+  it('should not compute tags when nothing is cached', done => {
+    const serverCacheTags = jasmine.createSpy('serverCacheTags').and.returnValue(['tag'])
+    createRenderer({ cache: false }).renderToString(new Vue({
+      render: h => h({
+        name: 'tagged',
+        serverCacheKey: () => 1,
+        serverCacheTags,
+        render: h => h('div')
+      })
+    }), err => {
+      expect(err).toBeNull()
+      expect(serverCacheTags).not.toHaveBeenCalled()
+      done()
+    })
+  })
+
+  it('should store the tags of nested components', done => {
+    const cache = createLRUCache()
+    spyOn(cache, 'set').and.callThrough()
+    createRenderer({ cache }).renderToString(createApp(), err => {
+      expect(err).toBeNull()
+      const entries = {}
+      cache.set.calls.allArgs().forEach(([key, entry]) => {
+        entries[key] = entry
+      })
+      expect(entries['user::1'].tags).toEqual(['user:1'])
+      expect(entries['profile::1'].tags.sort()).toEqual(['profile', 'user:1'])
+      done()
+    })
+  })
+
+  it('should invalidate entries by tag', done => {
+    const renderer = createRenderer()
+    renderTwice(renderer, () => {
+      renderer.invalidateTags('user:1')
+      renderer.renderToString(createApp(), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(expected)
+        // the cached ancestor is invalidated along with the tagged child
+        expect(renders).toEqual(['profile 1', 'user 1', 'profile 1', 'user 1'])
+        done()
+      })
+    })
+  })
+
+  it('should require invalidateTags from custom caches', () => {
+    const renderer = createRenderer({ cache: { get () {}, set () {} }})
+    expect(() => renderer.invalidateTags(['foo'])).toThrowError(/invalidateTags/)
+  })
+
+  it('should namespace keys by version and report hits and misses', done => {
+    const onCacheHit = jasmine.createSpy('hit')
+    const onCacheMiss = jasmine.createSpy('miss')
+    const renderer = createRenderer({ cacheVersion: 'abc123', onCacheHit, onCacheMiss })
+    renderTwice(renderer, () => {
+      expect(onCacheMiss.calls.allArgs()).toEqual([
+        ['abc123::profile::1', 'profile'],
+        ['abc123::user::1', 'user']
+      ])
+      expect(onCacheHit.calls.allArgs()).toEqual([
+        ['abc123::profile::1', 'profile']
+      ])
+      done()
+    })
+  })
+
+  it('should support promise-based get', done => {
+    const entries = {}
+    const cache = {
+      get: key => Promise.resolve(entries[key]),
+      set: (key, entry) => {
+        entries[key] = entry
+      }
+    }
+    renderTwice(createRenderer({ cache }), () => {
+      expect(renders).toEqual(['profile 1', 'user 1'])
+      done()
+    })
+  })
+
+  it('should treat failed lookups as misses', done => {
+    const cache = {
+      get: () => Promise.reject(new Error('unavailable')),
+      set () {}
+    }
+    renderTwice(createRenderer({ cache }), () => {
+      expect(renders.length).toBe(4)
+      done()
+    })
+  })
+
+  describe('createLRUCache', () => {
+    const entry = (html, tags) => ({ html, components: new Set(), tags })
+
+    it('should evict the least recently used entries', () => {
+      const cache = createLRUCache({ max: 2 })
+      cache.set('a', entry('a'))
+      cache.set('b', entry('b'))
+      cache.get('a')
+      cache.set('c', entry('c'))
+      expect(cache.has('a')).toBe(true)
+      expect(cache.has('b')).toBe(false)
+      expect(cache.has('c')).toBe(true)
+    })
+
+    it('should limit the total html size', () => {
+      const cache = createLRUCache({ maxSize: 10 })
+      cache.set('a', entry('aaaa'))
+      cache.set('b', entry('bbbb'))
+      cache.set('c', entry('cccc'))
+      expect(cache.has('a')).toBe(false)
+      expect(cache.has('b')).toBe(true)
+      // larger than the whole cache
+      cache.set('d', entry('d'.repeat(11)))
+      expect(cache.has('d')).toBe(false)
+    })
+
+    it('should invalidate and clear entries', () => {
+      const cache = createLRUCache()
+      cache.set('a', entry('a', ['x']))
+      cache.set('b', entry('b', ['x', 'y']))
+      cache.set('c', entry('c', ['y']))
+      cache.invalidateTags(['x'])
+      expect(cache.has('a')).toBe(false)
+      expect(cache.has('b')).toBe(false)
+      expect(cache.has('c')).toBe(true)
+      cache.clear()
+      expect(cache.has('c')).toBe(false)
+    })
+  })
+})
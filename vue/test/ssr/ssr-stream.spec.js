@@ -124,4 +124,167 @@ describe('SSR: renderToStream', () => {
       done()
     })
   })
+
+  describe('serverDefer', () => {
+    const { renderToString } = createRenderer()
+
+    function createSlow (name, delay) {
+      return {
+        serverDefer: true,
+        data: () => ({ msg: '' }),
+        serverPrefetch () {
+          return new Promise(resolve => setTimeout(() => {
+            this.msg = `${name} done`
+            resolve()
+          }, delay))
+        },
+        template: `<p class="${name}">{{ msg }}</p>`
+      }
+    }
+
+    function createApp () {
+      return new Vue({
+        template: `<div><slow-a></slow-a><span>fast</span><slow-b></slow-b></div>`,
+        components: {
+          slowA: createSlow('a', 30),
+          slowB: createSlow('b', 10)
+        }
+      })
+    }
+
+    // what the inline scripts do in the browser
+    function swap (html) {
+      const contentRE = /<template id="__vue-defer-content-(\d+)">([\s\S]*?)<\/template><script>.*?<\/script>/g
+      let match
+      while ((match = contentRE.exec(html))) {
+        html = html.replace(match[0], '')
+          .replace(`<template id="__vue-defer-${match[1]}"></template>`, match[2])
+        contentRE.lastIndex = 0
+      }
+      return html
+    }
+
+    it('should stream placeholders and render deferred subtrees when ready', done => {
+      const stream = renderToStream(createApp())
+      const chunks = []
+      stream.on('data', chunk => {
+        chunks.push(chunk.toString())
+      })
+      stream.on('end', () => {
+        const res = chunks.join('')
+        // the rest of the page does not wait for the slow components
+        const main = '<div data-server-rendered="true">' +
+          '<template id="__vue-defer-0"></template>' +
+          '<span>fast</span>' +
+          '<template id="__vue-defer-1"></template>' +
+          '</div>'
+        expect(res.indexOf(main)).toBe(0)
+        // out of order: b is ready first
+        expect(res.indexOf('b done')).toBeLessThan(res.indexOf('a done'))
+        expect(res).toContain(
+          '<template id="__vue-defer-content-1"><p class="b">b done</p></template>'
+        )
+        // the swap function is only inlined once
+        expect(res.match(/function \$vueDefer/g).length).toBe(1)
+        expect(res).toContain('$vueDefer(0)</script>')
+        renderToString(createApp(), (err, expected) => {
+          expect(err).toBeNull()
+          expect(swap(res)).toBe(expected)
+          done()
+        })
+      })
+    })
+
+    it('should render in place with renderToString', done => {
+      renderToString(createApp(), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(
+          '<div data-server-rendered="true">' +
+          '<p class="a">a done</p><span>fast</span><p class="b">b done</p>' +
+          '</div>'
+        )
+        done()
+      })
+    })
+
+    it('should use the nonce for the inline script', done => {
+      const stream = renderToStream(createApp(), { nonce: 'foo' })
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        expect(res.match(/<script nonce="foo">/g).length).toBe(2)
+        done()
+      })
+    })
+
+    it('should log errors in deferred subtrees that are not handled', done => {
+      const stream = renderToStream(new Vue({
+        template: `<div><broken></broken></div>`,
+        components: {
+          broken: {
+            serverDefer: true,
+            serverPrefetch () {
+              return Promise.reject(new Error('oops'))
+            },
+            render: h => h('p')
+          }
+        }
+      }))
+      stream.on('data', _ => _)
+      stream.on('error', done.fail)
+      stream.on('end', () => {
+        expect('oops').toHaveBeenWarned()
+        done()
+      })
+    })
+
+    it('should escape the nonce', done => {
+      const stream = renderToStream(createApp(), { nonce: '"><script>' })
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        expect(res).toContain('<script nonce="&quot;&gt;&lt;script&gt;">')
+        done()
+      })
+    })
+
+    it('should leave the placeholder of a failed deferred subtree', done => {
+      const errorCaptured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+      const stream = renderToStream(new Vue({
+        template: `<div><broken></broken><slow-b></slow-b></div>`,
+        errorCaptured,
+        components: {
+          broken: {
+            serverDefer: true,
+            serverPrefetch () {
+              return Promise.reject(new Error('oops'))
+            },
+            render: h => h('p')
+          },
+          slowB: createSlow('b', 10)
+        }
+      }))
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('error', done.fail)
+      stream.on('end', () => {
+        expect(res).toContain('<template id="__vue-defer-0"></template>')
+        expect(res).not.toContain('__vue-defer-content-0')
+        // the other deferred subtree is still rendered
+        expect(res).toContain(
+          '<template id="__vue-defer-content-1"><p class="b">b done</p></template>'
+        )
+        expect(errorCaptured.calls.count()).toBe(1)
+        expect(errorCaptured.calls.argsFor(0)[0].message).toBe('oops')
+        expect(errorCaptured.calls.argsFor(0)[2]).toBe('serverPrefetch')
+        done()
+      })
+    })
+  })
 })
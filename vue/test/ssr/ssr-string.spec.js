@@ -1168,11 +1168,128 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('fragment roots', done => {
+    renderVmWithOptions({
+      template: '<div><test :msg="msg"></test><p></p></div>',
+      data: { msg: 'foo' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<b>{{ msg }}</b><i class="a">static</i>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><b>foo</b><i class="a">static</i><!--]--><p></p>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('<template>, <slot> and render function fragment roots', done => {
+    renderVmWithOptions({
+      template: '<div><tpl></tpl><slotted><b>a</b><b>b</b></slotted><fn></fn></div>',
+      components: {
+        tpl: { template: '<template><b>a</b><i>b</i></template>' },
+        slotted: { template: '<slot></slot>' },
+        fn: {
+          render: h => [h('b', 'a'), h('i', 'b')]
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><b>a</b><i>b</i><!--]-->' +
+          '<!--[--><b>a</b><b>b</b><!--]-->' +
+          '<!--[--><b>a</b><i>b</i><!--]-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('compileCache', done => {
+    const entries = {}
+    const compileCache = {
+      get: key => entries[key],
+      set: (key, entry) => {
+        entries[key] = entry
+      }
+    }
+    const renderer = createRenderer({ compileCache })
+    renderer.renderToString(new Vue({
+      template: '<div class="compile-cache">{{ msg }}</div>',
+      data: { msg: 'hi' }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true" class="compile-cache">hi</div>')
+      const keys = Object.keys(entries)
+      expect(keys.length).toBe(1)
+      expect(entries[keys[0]].render).toContain('_ssrNode')
+      done()
+    })
+  })
+
+  it('profiler', done => {
+    Vue.profiler.start()
+    renderToString(new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: { name: 'child', template: '<span>child</span>' }
+      }
+    }), (err, res) => {
+      const trace = Vue.profiler.stop()
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true"><span>child</span></div>')
+      expect(trace.events.map(e => `${e.type} ${e.name}`)).toEqual([
+        'init <Root>',
+        'render <Root>',
+        'init <Child>',
+        'render <Child>'
+      ])
+      expect(trace.toChromeTrace().traceEvents.length).toBe(4)
+      done()
+    })
+  })
+
+  it('teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <teleport to="#modal"><p>{{ msg }}</p><child></child></teleport>
+          <teleport to="#modal"><p>second</p></teleport>
+          <teleport to="#modal" disabled><b>in place</b></teleport>
+        </div>
+      `,
+      data: { msg: 'hello' },
+      components: {
+        child: { template: '<span>child</span>' }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<!--teleport start--><!--teleport end--> ' +
+          '<!--teleport start--><!--teleport end--> ' +
+          '<!--teleport start--><b>in place</b><!--teleport end-->' +
+        '</div>'
+      )
+      expect(context.teleports['#modal']).toBe(
+        '<p>hello</p><span>child</span><!--teleport anchor-->' +
+        '<p>second</p><!--teleport anchor-->'
+      )
+      done()
+    })
+  })
+
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div><p v-for="item"></p></div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('Invalid v-for expression: item')
       done()
     })
   })
@@ -1577,6 +1694,170 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should render the error-boundary default slot', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <p>{{ msg }}</p>
+            <template v-slot:fallback>
+              <p>fallback</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      data: { msg: 'ok' }
+    }, result => {
+      expect(result).toBe('<div data-server-rendered="true"><p>ok</p></div>')
+      done()
+    })
+  })
+
+  it('should render the error-boundary fallback when a descendant throws', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <div><span>before</span><broken></broken></div>
+            <template v-slot:fallback="{ error }">
+              <p>{{ error.message }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        broken: {
+          render () {
+            throw new Error('broken')
+          }
+        }
+      }
+    }, result => {
+      expect(result).toBe('<div data-server-rendered="true"><p>broken</p></div>')
+      done()
+    })
+  })
+
+  it('should render the error-boundary fallback when serverPrefetch rejects', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <div><async-data></async-data></div>
+            <template v-slot:fallback="{ error }">
+              <p>{{ error.message }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        asyncData: {
+          serverPrefetch () {
+            return Promise.reject(new Error('fetch failed'))
+          },
+          render: h => h('span', 'data')
+        }
+      }
+    }, result => {
+      expect(result).toBe('<div data-server-rendered="true"><p>fetch failed</p></div>')
+      done()
+    })
+  })
+
+  it('should wait for async setup() and components inside suspense', done => {
+    renderVmWithOptions({
+      template: `
+        <main>
+          <suspense>
+            <div><child/><async-comp/></div>
+            <template v-slot:fallback><p>loading</p></template>
+          </suspense>
+        </main>
+      `,
+      components: {
+        child: {
+          setup () {
+            return new Promise(resolve => {
+              setTimeout(() => resolve({ msg: 'hello' }), 1)
+            })
+          },
+          template: '<span>{{ msg }}</span>'
+        },
+        asyncComp: () => Promise.resolve({ template: '<b>async</b>' })
+      }
+    }, result => {
+      expect(result).toBe(
+        '<main data-server-rendered="true"><!--[--><div><span>hello</span><b>async</b></div><!--]--></main>'
+      )
+      done()
+    })
+  })
+
+  it('should not warn when making state reactive in setup()', done => {
+    renderVmWithOptions({
+      template: '<div>{{ state.msg }}</div>',
+      setup () {
+        return { state: Vue.reactive({ msg: 'hello' }) }
+      }
+    }, result => {
+      expect(result).toBe('<div data-server-rendered="true">hello</div>')
+      expect('Cannot make a reactive object').not.toHaveBeenWarned()
+      done()
+    })
+  })
+
+  it('should mark the root element of islands', done => {
+    const counter = {
+      name: 'counter',
+      hydrate: 'visible',
+      props: ['start', 'label'],
+      template: '<div class="counter"><inner></inner>{{ start }}</div>',
+      components: {
+        // hydrated along with the enclosing island
+        inner: { name: 'inner', hydrate: 'idle', template: '<span>inner</span>' }
+      }
+    }
+    renderVmWithOptions({
+      template: `<div><p>static</p><counter :start="1" label="<a>"></counter><never></never></div>`,
+      components: {
+        counter,
+        never: {
+          name: 'never',
+          hydrate: 'never',
+          template: '<section><counter :start="2"></counter></section>',
+          components: { counter }
+        }
+      }
+    }, result => {
+      expect(result).toBe(
+        '<div data-server-rendered="true"><p>static</p>' +
+        '<div data-island="counter" data-island-hydrate="visible" ' +
+        'data-island-props="{&quot;label&quot;:&quot;&lt;a&gt;&quot;,&quot;start&quot;:1}" ' +
+        'class="counter"><span>inner</span>1</div>' +
+        // islands inside "never" components are still hydrated on their own
+        '<section><div data-island="counter" data-island-hydrate="visible" ' +
+        'data-island-props="{&quot;start&quot;:2}" class="counter"><span>inner</span>2</div></section>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should warn islands without a name or a root element', done => {
+    renderVmWithOptions({
+      template: '<div><anonymous></anonymous><empty></empty></div>',
+      components: {
+        anonymous: { hydrate: 'idle', template: '<p>hi</p>' },
+        empty: { name: 'empty', hydrate: 'idle', render: h => h() }
+      }
+    }, result => {
+      expect(result).toBe('<div data-server-rendered="true"><p>hi</p><!----></div>')
+      expect('Components with a "hydrate" option must also define a unique "name" option.').toHaveBeenTipped()
+      expect('Island component empty must render a single root element.').toHaveBeenTipped()
+      done()
+    })
+  })
+
   it('handling max stack size limit', done => {
     const vueInstance = new Vue({
       template: `<div class="root">
@@ -0,0 +1,164 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer } from '../../packages/vue-server-renderer'
+import { createRenderer as createBundleRenderer } from './ssr-bundle-render.spec.js'
+
+const template = `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
+
+function readAll (stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let res = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      return res
+    }
+    res += decoder.decode(value, { stream: true })
+    return read()
+  })
+  return read()
+}
+
+function createApp (count) {
+  return new Vue({
+    template: `<ul><li v-for="i in list">{{ i }}</li><async-item></async-item></ul>`,
+    data: { list: Array.from({ length: count }, (_, i) => i) },
+    components: {
+      asyncItem: resolve => setTimeout(() => resolve({
+        render: h => h('li', 'async')
+      }))
+    }
+  })
+}
+
+describe('SSR: renderToWebStream', () => {
+  it('should render the same html as renderToString', done => {
+    const renderer = createRenderer()
+    renderer.renderToString(createApp(10), (err, expected) => {
+      expect(err).toBeNull()
+      readAll(renderer.renderToWebStream(createApp(10))).then(res => {
+        expect(res).toBe(expected)
+      }).then(done)
+    })
+  })
+
+  it('should pause rendering when the queue is full', done => {
+    const renderer = createRenderer()
+    const rendered = jasmine.createSpy('rendered')
+    const reader = renderer.renderToWebStream(createApp(5000), { rendered }).getReader()
+    reader.read().then(({ value }) => {
+      expect(value instanceof Uint8Array).toBe(true)
+      return new Promise(resolve => setTimeout(resolve, 10))
+    }).then(() => {
+      // rendering stopped once the queue reached its high water mark
+      expect(rendered).not.toHaveBeenCalled()
+      return reader.cancel()
+    }).then(done)
+  })
+
+  it('should inject the template', done => {
+    const renderer = createRenderer({ template })
+    const context = {
+      head: '<meta name="viewport" content="width=device-width">',
+      styles: '<style>h1 { color: red }</style>',
+      state: { a: 0 },
+      rendered: context => {
+        context.state.a = 1
+      }
+    }
+    readAll(renderer.renderToWebStream(new Vue({
+      template: '<div>hi</div>'
+    }), context)).then(res => {
+      expect(res).toContain(
+        `<html><head>${context.head}${context.styles}</head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `</body></html>`
+      )
+    }).then(done)
+  })
+
+  it('should not support template functions', () => {
+    const renderer = createRenderer({
+      template: content => `<html>${content}</html>`
+    })
+    expect(() => {
+      renderer.renderToWebStream(new Vue({ template: '<div>hi</div>' }))
+    }).toThrowError(/function template/)
+  })
+
+  it('should error the stream on render errors', done => {
+    const renderer = createRenderer()
+    readAll(renderer.renderToWebStream(new Vue({
+      render () {
+        throw new Error('oops')
+      }
+    }))).catch(err => {
+      expect(err.message).toBe('oops')
+      expect('Error in render').toHaveBeenWarned()
+      done()
+    })
+  })
+
+  it('pipeToWebWritable', done => {
+    const renderer = createRenderer({ template })
+    const chunks = []
+    const writable = new WritableStream({
+      write (chunk) {
+        chunks.push(chunk)
+      }
+    })
+    renderer.pipeToWebWritable(new Vue({
+      template: '<div>hi</div>'
+    }), {}, writable).then(() => {
+      expect(Buffer.concat(chunks).toString()).toBe(
+        `<html><head></head><body><div data-server-rendered="true">hi</div></body></html>`
+      )
+    }).then(done)
+  })
+
+  describe('bundle renderer', () => {
+    it('renderToWebStream', done => {
+      createBundleRenderer('app.js', renderer => {
+        const context = { url: '/test' }
+        readAll(renderer.renderToWebStream(context)).then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/test</div>')
+          expect(context.msg).toBe('hello')
+        }).then(done)
+      })
+    })
+
+    it('renderToWebStream with template', done => {
+      createBundleRenderer('app.js', { template }, renderer => {
+        readAll(renderer.renderToWebStream({ url: '/test' })).then(res => {
+          expect(res).toBe(
+            `<html><head></head><body><div data-server-rendered="true">/test</div></body></html>`
+          )
+        }).then(done)
+      })
+    })
+
+    it('renderToWebStream catch Promise rejection', done => {
+      createBundleRenderer('promise-rejection.js', renderer => {
+        readAll(renderer.renderToWebStream()).catch(err => {
+          expect(err.message).toBe('foo')
+          done()
+        })
+      })
+    })
+
+    it('pipeToWebWritable', done => {
+      createBundleRenderer('app.js', renderer => {
+        let res = ''
+        const decoder = new TextDecoder()
+        const writable = new WritableStream({
+          write (chunk) {
+            res += decoder.decode(chunk)
+          }
+        })
+        renderer.pipeToWebWritable({ url: '/test' }, writable).then(() => {
+          expect(res).toBe('<div data-server-rendered="true">/test</div>')
+        }).then(done)
+      })
+    })
+  })
+})
@@ -436,4 +436,175 @@ describe('Component async', () => {
       }).then(done)
     })
   })
+
+  describe('retry/abort', () => {
+    it('should retry with the retry option', done => {
+      let calls = 0
+      const factory = jasmine.createSpy('factory').and.callFake(() => ({
+        component: new Promise((resolve, reject) => {
+          if (++calls < 3) {
+            reject(new Error('chunk'))
+          } else {
+            resolve({ template: '<div>hi</div>' })
+          }
+        }),
+        loading: { template: `<div>loading</div>` },
+        delay: 0,
+        retry: { attempts: 2, backoff: 1 }
+      }))
+      const vm = new Vue({
+        template: `<div><test/></div>`,
+        components: { test: factory }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('loading')
+      setTimeout(() => {
+        expect(factory.calls.count()).toBe(3)
+        expect(vm.$el.textContent).toBe('hi')
+        done()
+      }, 30)
+    })
+
+    it('should not retry when shouldRetry returns false', done => {
+      const factory = jasmine.createSpy('factory').and.callFake(() => ({
+        component: Promise.reject(new Error('404')),
+        error: { template: `<div>error</div>` },
+        retry: {
+          attempts: 3,
+          shouldRetry: err => err.message !== '404'
+        }
+      }))
+      const vm = new Vue({
+        template: `<div><test/></div>`,
+        components: { test: factory }
+      }).$mount()
+      setTimeout(() => {
+        expect(`Failed to resolve async component`).toHaveBeenWarned()
+        expect(factory.calls.count()).toBe(1)
+        expect(vm.$el.textContent).toBe('error')
+        done()
+      }, 10)
+    })
+
+    it('should call onError with retry and fail', done => {
+      const onError = jasmine.createSpy('onError').and.callFake((err, retry, fail, attempts) => {
+        expect(err.message).toBe('chunk')
+        if (attempts < 2) {
+          retry()
+        } else {
+          fail()
+        }
+      })
+      const factory = jasmine.createSpy('factory').and.callFake(() => ({
+        component: Promise.reject(new Error('chunk')),
+        error: { template: `<div>error</div>` },
+        onError
+      }))
+      const vm = new Vue({
+        template: `<div><test/></div>`,
+        components: { test: factory }
+      }).$mount()
+      setTimeout(() => {
+        expect(factory.calls.count()).toBe(2)
+        expect(onError.calls.argsFor(0)[3]).toBe(1)
+        expect(onError.calls.argsFor(1)[3]).toBe(2)
+        expect(`Failed to resolve async component`).toHaveBeenWarned()
+        expect(vm.$el.textContent).toBe('error')
+        done()
+      }, 10)
+    })
+
+    it('should retry an attempt that timed out', done => {
+      const onError = jasmine.createSpy('onError').and.callFake((err, retry) => {
+        expect(err).toBe('timeout (5ms)')
+        retry()
+      })
+      let calls = 0
+      const factory = jasmine.createSpy('factory').and.callFake(() => ({
+        // the first attempt never settles
+        component: ++calls === 1
+          ? new Promise(() => {})
+          : Promise.resolve({ template: '<div>hi</div>' }),
+        error: { template: `<div>error</div>` },
+        timeout: 5,
+        onError
+      }))
+      const vm = new Vue({
+        template: `<div><test/></div>`,
+        components: { test: factory }
+      }).$mount()
+      setTimeout(() => {
+        expect(onError.calls.count()).toBe(1)
+        expect(factory.calls.count()).toBe(2)
+        expect(`Failed to resolve async component`).not.toHaveBeenWarned()
+        expect(vm.$el.textContent).toBe('hi')
+        done()
+      }, 40)
+    })
+
+    it('should abort the pending load when all owners are destroyed', done => {
+      const signals = []
+      let resolveLast
+      const factory = jasmine.createSpy('factory').and.callFake((resolve, reject, signal) => {
+        signals.push(signal)
+        resolveLast = resolve
+      })
+      const vm = new Vue({
+        data: { ok: true },
+        template: `<div><owner v-if="ok"/></div>`,
+        components: {
+          owner: {
+            template: `<div><test/></div>`,
+            components: { test: factory }
+          }
+        }
+      }).$mount()
+      expect(factory.calls.count()).toBe(1)
+      vm.ok = false
+      waitForUpdate(() => {
+        if (signals[0]) {
+          expect(signals[0].aborted).toBe(true)
+        }
+        vm.ok = true
+      }).then(() => {
+        // starts a new load instead of waiting for the aborted one
+        expect(factory.calls.count()).toBe(2)
+        resolveLast({ template: '<div>hi</div>' })
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('hi')
+      }).then(done)
+    })
+
+    it('should load again once the owners of an error component are destroyed', done => {
+      let calls = 0
+      const vm = new Vue({
+        data: { ok: true },
+        template: `<div><owner v-if="ok"/></div>`,
+        components: {
+          owner: {
+            template: `<div><test/></div>`,
+            components: {
+              test: () => ({
+                component: ++calls === 1
+                  ? Promise.reject(new Error('offline'))
+                  : Promise.resolve({ template: '<div>hi</div>' }),
+                error: { template: `<div>error</div>` }
+              })
+            }
+          }
+        }
+      }).$mount()
+      setTimeout(() => {
+        expect(`Failed to resolve async component`).toHaveBeenWarned()
+        expect(vm.$el.textContent).toBe('error')
+        vm.ok = false
+        waitForUpdate(() => {
+          vm.ok = true
+        }).then(() => {
+          expect(calls).toBe(2)
+        }).thenWaitFor(1).then(() => {
+          expect(vm.$el.textContent).toBe('hi')
+        }).then(done)
+      }, 10)
+    })
+  })
 })
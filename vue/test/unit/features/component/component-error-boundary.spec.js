@@ -0,0 +1,186 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  const Broken = {
+    props: ['fail'],
+    render (h) {
+      if (this.fail) {
+        throw new Error('broken')
+      }
+      return h('div', 'ok')
+    }
+  }
+
+  it('should render the fallback slot when a child throws', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <broken :fail="true"></broken>
+            <template v-slot:fallback="{ error, info }">
+              <p>{{ error.message }} in {{ info }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: { Broken }
+    }).$mount()
+    // the boundary re-renders with the fallback in the next flush
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>broken in render</p>')
+    }).then(done)
+  })
+
+  it('should render the default slot again after reset', done => {
+    const vm = new Vue({
+      data: { fail: true },
+      template: `
+        <div>
+          <error-boundary>
+            <broken :fail="fail"></broken>
+            <template v-slot:fallback="{ reset }">
+              <button @click="fail = false, reset()">retry</button>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: { Broken }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<button>retry</button>')
+      vm.$el.querySelector('button').click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div>ok</div>')
+    }).then(done)
+  })
+
+  it('should emit the captured error', () => {
+    const spy = jasmine.createSpy('error')
+    new Vue({
+      template: `
+        <div>
+          <error-boundary @error="onError">
+            <broken :fail="true"></broken>
+          </error-boundary>
+        </div>
+      `,
+      methods: { onError: spy },
+      components: { Broken }
+    }).$mount()
+    expect(spy).toHaveBeenCalled()
+    const [err, vm, info] = spy.calls.argsFor(0)
+    expect(err.message).toBe('broken')
+    expect(vm.$options.name).toBeUndefined()
+    expect(vm.fail).toBe(true)
+    expect(info).toBe('render')
+  })
+
+  it('should only propagate errors with the propagate prop', () => {
+    const spy = jasmine.createSpy('errorCaptured')
+    const template = propagate => `
+      <div>
+        <error-boundary ${propagate ? 'propagate' : ''}>
+          <broken :fail="true"></broken>
+        </error-boundary>
+      </div>
+    `
+    new Vue({
+      template: template(false),
+      errorCaptured: spy,
+      components: { Broken }
+    }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+
+    spy.and.returnValue(false)
+    new Vue({
+      template: template(true),
+      errorCaptured: spy,
+      components: { Broken }
+    }).$mount()
+    expect(spy).toHaveBeenCalled()
+  })
+
+  it('should pass errors in the fallback to outer boundaries', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <error-boundary>
+              <broken :fail="true"></broken>
+              <template v-slot:fallback>
+                <broken-fallback></broken-fallback>
+              </template>
+            </error-boundary>
+            <template v-slot:fallback>
+              <p>outer</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        Broken,
+        BrokenFallback: {
+          render () {
+            throw new Error('broken fallback')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      // inner fallback throws in this flush, the outer one renders in the next
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>outer</p>')
+    }).then(done)
+  })
+
+  it('should capture errors through other abstract components', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <keep-alive><broken :fail="true"></broken></keep-alive>
+            <template v-slot:fallback="{ error }">
+              <p>{{ error.message }}</p>
+            </template>
+          </error-boundary>
+        </div>
+      `,
+      components: { Broken }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>broken</p>')
+    }).then(done)
+  })
+
+  it('should not call errorCaptured of other abstract components', () => {
+    const abstractSpy = jasmine.createSpy('abstract')
+    const parentSpy = jasmine.createSpy('parent').and.returnValue(false)
+    new Vue({
+      template: '<div><wrapper><broken :fail="true"></broken></wrapper></div>',
+      errorCaptured: parentSpy,
+      components: {
+        Broken,
+        Wrapper: {
+          abstract: true,
+          errorCaptured: abstractSpy,
+          render () {
+            return this.$slots.default[0]
+          }
+        }
+      }
+    }).$mount()
+    expect(abstractSpy).not.toHaveBeenCalled()
+    expect(parentSpy).toHaveBeenCalled()
+  })
+
+  it('should warn multiple root elements in the default slot', () => {
+    new Vue({
+      template: `
+        <div>
+          <error-boundary><p>a</p><p>b</p></error-boundary>
+        </div>
+      `
+    }).$mount()
+    expect('<error-boundary> can only render a single element in its default slot').toHaveBeenWarned()
+  })
+})
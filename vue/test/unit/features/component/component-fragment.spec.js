@@ -0,0 +1,221 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Pair = {
+    props: ['id'],
+    template: '<b>{{ id }}</b><i>{{ id }}</i>'
+  }
+
+  it('should render multiple root nodes between anchors', () => {
+    const vm = new Vue({
+      template: '<div><pair id="a"></pair></div>',
+      components: { Pair }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><b>a</b><i>a</i><!--]-->')
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(8)
+    expect(child.$el.nextSibling.tagName).toBe('B')
+  })
+
+  it('should render an array returned from a render function', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          render (h) {
+            return [h('b', 'a'), 'text', [h('i', 'b')]]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><b>a</b>text<i>b</i><!--]-->')
+  })
+
+  it('should render <template>, <slot> and v-for roots', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <tpl></tpl>
+          <slotted><b>a</b><i>b</i></slotted>
+          <list :items="[1, 2]"></list>
+        </div>
+      `,
+      components: {
+        tpl: { template: '<template><b>a</b><i>b</i></template>' },
+        slotted: { template: '<slot></slot>' },
+        list: {
+          props: ['items'],
+          template: '<b v-for="i in items">{{ i }}</b>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      '<!--[--><b>a</b><i>b</i><!--]--> ' +
+      '<!--[--><b>a</b><i>b</i><!--]--> ' +
+      '<!--[--><b>1</b><b>2</b><!--]-->'
+    )
+  })
+
+  it('should update fragment children in place', done => {
+    const vm = new Vue({
+      data: { items: [1, 2, 3] },
+      template: '<div><list :items="items"></list><p>after</p></div>',
+      components: {
+        list: {
+          props: ['items'],
+          template: '<b v-for="i in items" :key="i">{{ i }}</b>'
+        }
+      }
+    }).$mount()
+    const [b1, b2] = vm.$el.querySelectorAll('b')
+    vm.items = [2, 1, 3, 4]
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><b>2</b><b>1</b><b>3</b><b>4</b><!--]--><p>after</p>'
+      )
+      const bs = vm.$el.querySelectorAll('b')
+      expect(bs[0]).toBe(b2)
+      expect(bs[1]).toBe(b1)
+      vm.items = []
+    }).then(() => {
+      // an empty list renders an empty node instead
+      expect(vm.$el.innerHTML).toBe('<!----><p>after</p>')
+    }).then(done)
+  })
+
+  it('should render v-if roots as a fragment', done => {
+    const vm = new Vue({
+      data: { multi: true },
+      template: '<div><a></a><test :multi="multi"></test><p></p></div>',
+      components: {
+        test: {
+          props: ['multi'],
+          template: '<b v-if="multi">a</b><i v-if="multi">b</i><span v-if="!multi">c</span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<a></a><!--[--><b>a</b><i>b</i><!----><!--]--><p></p>')
+    vm.multi = false
+    waitForUpdate(() => {
+      // falsy v-if roots keep their place as empty nodes
+      expect(vm.$el.innerHTML).toBe('<a></a><!--[--><!----><!----><span>c</span><!--]--><p></p>')
+    }).then(done)
+  })
+
+  it('should replace a fragment root with an element root', done => {
+    const vm = new Vue({
+      data: { multi: true },
+      template: '<div><a></a><test :multi="multi"></test><p></p></div>',
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [h('b'), h('i')] : h('span')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    vm.multi = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<a></a><span></span><p></p>')
+      expect(child.$el.tagName).toBe('SPAN')
+      vm.multi = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<a></a><!--[--><b></b><i></i><!--]--><p></p>')
+      expect(child.$el).toBe(vm.$el.childNodes[1])
+    }).then(done)
+  })
+
+  it('should switch between a text root and a fragment root', done => {
+    const vm = new Vue({
+      data: { multi: false },
+      template: '<div><test :multi="multi"></test></div>',
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [this._v('a'), h('b')] : [this._v('a')]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('a')
+    vm.multi = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[-->a<b></b><!--]-->')
+      vm.multi = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('a')
+    }).then(done)
+  })
+
+  it('should remove and destroy fragment components', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      data: { ok: true },
+      template: '<div><a></a><pair v-if="ok" id="a"></pair><p></p></div>',
+      components: {
+        pair: {
+          props: ['id'],
+          template: '<b>{{ id }}</b><child></child>',
+          components: {
+            child: { template: '<i></i>', destroyed }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<a></a><!--[--><b>a</b><i></i><!--]--><p></p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<a></a><!----><p></p>')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should move fragment components in keyed lists', done => {
+    const vm = new Vue({
+      data: { list: ['a', 'b', 'c'] },
+      template: '<div><pair v-for="id in list" :key="id" :id="id"></pair></div>',
+      components: { Pair }
+    }).$mount()
+    const text = () => vm.$el.textContent
+    expect(text()).toBe('aabbcc')
+    vm.list = ['c', 'b', 'a']
+    waitForUpdate(() => {
+      expect(text()).toBe('ccbbaa')
+      vm.list = ['b', 'd', 'c', 'a']
+    }).then(() => {
+      expect(text()).toBe('bbddccaa')
+      expect(vm.$el.childNodes.length).toBe(16)
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      data: { view: 'one' },
+      template: '<div><keep-alive><component :is="view"></component></keep-alive><p></p></div>',
+      components: {
+        one: { template: '<b>1</b><b>1</b>' },
+        two: { template: '<i>2</i><i>2</i>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><b>1</b><b>1</b><!--]--><p></p>')
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><i>2</i><i>2</i><!--]--><p></p>')
+      vm.view = 'one'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><b>1</b><b>1</b><!--]--><p></p>')
+    }).then(done)
+  })
+
+  it('should warn fragment roots inside <transition>', () => {
+    const vm = new Vue({
+      template: '<div><transition><pair id="a"></pair></transition></div>',
+      components: { Pair }
+    }).$mount()
+    expect('Component inside <transition> renders multiple root nodes').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--[--><b>a</b><i>a</i><!--]-->')
+  })
+})
@@ -572,6 +572,235 @@ describe('Component keep-alive', () => {
     }).then(done)
   })
 
+  it('ttl', done => {
+    const vm = new Vue({
+      template: `
+        <keep-alive ttl="20">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one'
+      },
+      components
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      assertHookCalls(one, [1, 1, 1, 1, 0])
+    }).thenWaitFor(40).then(() => {
+      // one expired while inactive, two is active and kept
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+      assertHookCalls(two, [1, 1, 1, 0, 0])
+      vm.view = 'one'
+    }).then(() => {
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+    }).then(done)
+  })
+
+  it('ttl should be reset when an entry is re-activated', done => {
+    const vm = new Vue({
+      template: `
+        <keep-alive ttl="30">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one'
+      },
+      components
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      vm.view = 'one'
+    }).thenWaitFor(50).then(() => {
+      assertHookCalls(one, [1, 1, 2, 1, 0])
+      // two expired
+      assertHookCalls(two, [1, 1, 1, 1, 1])
+    }).then(done)
+  })
+
+  it('maxMemory', done => {
+    const sizes = { one: 3, two: 2, three: 2 }
+    const three = {
+      template: '<div>three</div>',
+      destroyed: jasmine.createSpy('three destroyed')
+    }
+    const vm = new Vue({
+      template: `
+        <keep-alive max-memory="5" :size-of="sizeOf">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one'
+      },
+      methods: {
+        sizeOf: (instance, key) => sizes[instance.$vnode.componentOptions.tag]
+      },
+      components: { one, two, three }
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      assertHookCalls(one, [1, 1, 1, 1, 0])
+      vm.view = 'three'
+    }).then(() => {
+      // one is the least recently used entry
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+      assertHookCalls(two, [1, 1, 1, 1, 0])
+      expect(three.destroyed).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('cache controller', done => {
+    const onPrune = jasmine.createSpy('prune')
+    const vm = new Vue({
+      template: `
+        <keep-alive ref="cache" @prune="onPrune">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one'
+      },
+      methods: { onPrune },
+      components
+    }).$mount()
+    const controller = vm.$refs.cache.controller
+    vm.view = 'two'
+    waitForUpdate(() => {
+      const keys = controller.keys()
+      expect(keys.length).toBe(2)
+      const metadata = controller.getMetadata(keys[0])
+      expect(metadata.key).toBe(keys[0])
+      expect(metadata.accessCount).toBe(1)
+      // a single element
+      expect(metadata.size).toBe(1)
+      expect(typeof metadata.createdAt).toBe('number')
+      expect(metadata.lastAccessedAt >= metadata.createdAt).toBe(true)
+      expect(controller.getMetadata('foo')).toBeUndefined()
+
+      expect(controller.evict('foo')).toBe(false)
+      expect(controller.evict(keys[0])).toBe(true)
+      assertHookCalls(one, [1, 1, 1, 1, 1])
+      expect(controller.keys()).toEqual([keys[1]])
+      expect(onPrune).toHaveBeenCalledWith({
+        key: keys[0],
+        reason: 'evict',
+        metadata
+      })
+
+      controller.clear()
+      expect(controller.keys()).toEqual([])
+      expect(onPrune.calls.mostRecent().args[0].reason).toBe('clear')
+      // the active instance is not destroyed
+      assertHookCalls(two, [1, 1, 1, 0, 0])
+      vm.view = 'one'
+    }).then(() => {
+      assertHookCalls(one, [2, 2, 2, 1, 1])
+      // the evicted active instance is destroyed once switched out
+      assertHookCalls(two, [1, 1, 1, 0, 1])
+      vm.view = 'two'
+    }).then(() => {
+      // two was removed from the cache, so it is re-created
+      expect(two.created.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('cacheKey', done => {
+    const created = jasmine.createSpy('created')
+    const cacheKey = jasmine.createSpy('cacheKey').and.callFake(
+      (vnode, componentOptions) => componentOptions.propsData.id
+    )
+    const vm = new Vue({
+      template: `
+        <keep-alive ref="cache" :cache-key="cacheKey">
+          <page :id="id"></page>
+        </keep-alive>
+      `,
+      data: {
+        id: 'a'
+      },
+      methods: { cacheKey },
+      components: {
+        page: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created
+        }
+      }
+    }).$mount()
+    expect(cacheKey.calls.argsFor(0)[1].tag).toBe('page')
+    vm.id = 'b'
+    waitForUpdate(() => {
+      expect(vm.$refs.cache.controller.keys()).toEqual(['a', 'b'])
+      expect(vm.$el.textContent).toBe('b')
+      expect(created.calls.count()).toBe(2)
+      vm.id = 'a'
+    }).then(() => {
+      // reused the cached instance for "a"
+      expect(vm.$el.textContent).toBe('a')
+      expect(created.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('matchBy (function)', done => {
+    const vm = new Vue({
+      template: `
+        <keep-alive :include="include" :match-by="matchBy">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one',
+        include: 'route-one'
+      },
+      methods: {
+        matchBy: (vnode, componentOptions) => 'route-' + componentOptions.tag
+      },
+      components
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      assertHookCalls(one, [1, 1, 1, 1, 0])
+      vm.view = 'one'
+    }).then(() => {
+      // two is not included
+      assertHookCalls(two, [1, 1, 0, 0, 1])
+      vm.include = 'route-two'
+    }).then(() => {
+      // one is still active, not destroyed yet
+      assertHookCalls(one, [1, 1, 2, 1, 0])
+      vm.view = 'two'
+    }).then(() => {
+      // one was pruned while active, so it is destroyed on switch
+      assertHookCalls(one, [1, 1, 2, 1, 1])
+      assertHookCalls(two, [2, 2, 1, 0, 1])
+    }).then(done)
+  })
+
+  it('matchBy (component option)', done => {
+    one.routeName = 'home'
+    const vm = new Vue({
+      template: `
+        <keep-alive exclude="home" match-by="routeName">
+          <component :is="view"></component>
+        </keep-alive>
+      `,
+      data: {
+        view: 'one'
+      },
+      components
+    }).$mount()
+    vm.view = 'two'
+    waitForUpdate(() => {
+      // one is excluded by its routeName
+      assertHookCalls(one, [1, 1, 0, 0, 1])
+      vm.view = 'one'
+    }).then(() => {
+      assertHookCalls(two, [1, 1, 1, 1, 0])
+    }).then(done)
+  })
+
   it('should warn unknown component inside', () => {
     new Vue({
       template: `<keep-alive><foo/></keep-alive>`
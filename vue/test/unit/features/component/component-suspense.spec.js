@@ -0,0 +1,147 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function createDeferred () {
+    let resolve
+    const promise = new Promise(r => {
+      resolve = r
+    })
+    return { promise, resolve }
+  }
+
+  it('should render the fallback until all async components are resolved', done => {
+    const a = createDeferred()
+    const b = createDeferred()
+    const onPending = jasmine.createSpy('pending')
+    const onResolve = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="onPending" @resolve="onResolve">
+            <div><comp-a/><comp-b/></div>
+            <template v-slot:fallback>
+              <p>loading</p>
+            </template>
+          </suspense>
+        </div>
+      `,
+      methods: { onPending, onResolve },
+      components: {
+        compA: () => a.promise,
+        compB: () => b.promise
+      }
+    }).$mount()
+    let content
+    waitForUpdate(() => {
+      expect(onPending.calls.count()).toBe(1)
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><p>loading</p><div style="display: none;"><!----><!----></div><!--]-->'
+      )
+      content = vm.$el.children[1]
+      a.resolve({ template: '<span>a</span>' })
+    }).thenWaitFor(1).then(() => {
+      // the content is updated while still hidden
+      expect(vm.$el.children[0].outerHTML).toBe('<p>loading</p>')
+      expect(content.innerHTML).toBe('<span>a</span><!---->')
+      expect(content.style.display).toBe('none')
+      b.resolve({ template: '<span>b</span>' })
+    }).thenWaitFor(1).then(() => {
+      // rendered as a fragment, without a wrapper element
+      expect(vm.$el.innerHTML).toBe('<!--[--><div style=""><span>a</span><span>b</span></div><!--]-->')
+      expect(vm.$el.children[0]).toBe(content)
+      expect(onResolve.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should not recreate the content when it is revealed', done => {
+    const a = createDeferred()
+    const created = jasmine.createSpy('created')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child/>
+            <template v-slot:fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          created,
+          template: '<div><comp-a/></div>',
+          components: {
+            compA: () => a.promise
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      a.resolve({ template: '<span>a</span>' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><div style=""><span>a</span></div><!--]-->')
+      expect(created.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should wait for async setup()', done => {
+    const data = createDeferred()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child/>
+            <template v-slot:fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          setup () {
+            return data.promise.then(msg => ({ msg }))
+          },
+          template: '<div>{{ msg }}</div>'
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      data.resolve('hello')
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><div style="">hello</div><!--]-->')
+    }).then(done)
+  })
+
+  it('should render the content directly when nothing is pending', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <p>hi</p>
+            <template v-slot:fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>hi</p><!--]-->')
+  })
+
+  it('should wrap the content in the given tag', () => {
+    const vm = new Vue({
+      template: `
+        <suspense tag="section">
+          <p>hi</p>
+          <template v-slot:fallback><p>loading</p></template>
+        </suspense>
+      `
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<section><p>hi</p></section>')
+  })
+
+  it('should warn multiple root elements in the default slot', () => {
+    new Vue({
+      template: `<suspense><p>a</p><p>b</p></suspense>`
+    }).$mount()
+    expect('<suspense> can only render a single element in its default slot').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,200 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render the content into the target', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>{{ msg }}</p><span>b</span></teleport>
+        </div>
+      `,
+      data: { msg: 'a' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><!--teleport end-->')
+    expect(target.innerHTML).toBe('<p>a</p><span>b</span><!--teleport anchor-->')
+  })
+
+  it('should accept an element as target', () => {
+    new Vue({
+      template: `<div><teleport :to="target"><p>a</p></teleport></div>`,
+      data: { target }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><!--teleport anchor-->')
+  })
+
+  it('should keep the logical component tree', () => {
+    const spy = jasmine.createSpy('event')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <child @foo="onFoo"></child>
+          </teleport>
+        </div>
+      `,
+      provide: { msg: 'injected' },
+      methods: { onFoo: spy },
+      components: {
+        child: {
+          inject: ['msg'],
+          template: '<p>{{ msg }}</p>',
+          mounted () {
+            this.$emit('foo', this.$parent)
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>injected</p><!--teleport anchor-->')
+    expect(spy).toHaveBeenCalledWith(vm)
+    expect(vm.$children.length).toBe(1)
+  })
+
+  it('should update the content in the target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <p v-for="i in list" :key="i">{{ i }}</p>
+          </teleport>
+        </div>
+      `,
+      data: { list: [1, 2] }
+    }).$mount()
+    const p1 = target.firstChild
+    vm.list = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>3</p><p>1</p><p>2</p><!--teleport anchor-->')
+      expect(target.childNodes[1]).toBe(p1)
+      vm.list = []
+    }).then(() => {
+      expect(target.innerHTML).toBe('<!--teleport anchor-->')
+    }).then(done)
+  })
+
+  it('should move the content when the target changes', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport :to="to" :disabled="disabled"><p>{{ msg }}</p></teleport>
+        </div>
+      `,
+      data: { to: '#teleport-target', disabled: false, msg: 'a' }
+    }).$mount()
+    const p = target.firstChild
+    vm.to = '#teleport-other'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>a</p><!--teleport anchor-->')
+      expect(other.firstChild).toBe(p)
+      vm.disabled = true
+      vm.msg = 'b'
+    }).then(() => {
+      expect(other.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>b</p><!--teleport end-->')
+      expect(vm.$el.childNodes[1]).toBe(p)
+      vm.disabled = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--teleport start--><!--teleport end-->')
+      expect(other.innerHTML).toBe('<p>b</p><!--teleport anchor-->')
+      expect(other.firstChild).toBe(p)
+    }).then(done)
+  })
+
+  it('should append multiple teleports to the same target in order', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>{{ a }}</p></teleport>
+          <teleport to="#teleport-target"><p>b</p></teleport>
+        </div>
+      `,
+      data: { a: 'a' }
+    }).$mount()
+    expect(target.innerHTML).toBe(
+      '<p>a</p><!--teleport anchor--><p>b</p><!--teleport anchor-->'
+    )
+    vm.a = 'c'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe(
+        '<p>c</p><!--teleport anchor--><p>b</p><!--teleport anchor-->'
+      )
+    }).then(done)
+  })
+
+  it('should remove the content and destroy its components', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport v-if="ok" to="#teleport-target"><child></child></teleport>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        child: { template: '<p>child</p>', destroyed }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>child</p><!--teleport anchor-->')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should work with <transition> inside', done => {
+    let leaveEl, leaveDone
+    // the hook takes over when it accepts the done callback
+    const leave = (el, cb) => {
+      leaveEl = el
+      leaveDone = cb
+    }
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <transition :css="false" @leave="leave">
+              <p v-if="ok">modal</p>
+            </transition>
+          </teleport>
+        </div>
+      `,
+      data: { ok: true },
+      methods: { leave }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>modal</p><!--teleport anchor-->')
+    const p = target.firstChild
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(leaveEl).toBe(p)
+      // still there until the leave transition is done
+      expect(target.firstChild).toBe(p)
+      leaveDone()
+      expect(target.innerHTML).toBe('<!----><!--teleport anchor-->')
+    }).then(done)
+  })
+
+  it('should warn and render in place when the target is missing', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#nope"><p>a</p></teleport></div>`
+    }).$mount()
+    expect('Failed to locate <teleport> target with selector "#nope"').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>a</p><!--teleport end-->')
+  })
+})
@@ -64,19 +64,27 @@ describe('Component', () => {
     expect(vm.$el.innerHTML).toBe('<span>child</span>')
   })
 
-  it('fragment instance warning', () => {
-    new Vue({
-      template: '<test></test>',
+  it('fragment instance', done => {
+    const vm = new Vue({
+      template: '<div><test :a="a"></test></div>',
+      data: { a: 123 },
       components: {
         test: {
+          props: ['a'],
           data () {
-            return { a: 123, b: 234 }
+            return { b: 234 }
           },
           template: '<p>{{a}}</p><p>{{b}}</p>'
         }
       }
     }).$mount()
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>123</p><p>234</p><!--]-->')
+    // $el is the start anchor
+    expect(vm.$children[0].$el).toBe(vm.$el.firstChild)
+    vm.a = 456
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><p>456</p><p>234</p><!--]-->')
+    }).then(done)
   })
 
   it('dynamic', done => {
@@ -1078,4 +1078,148 @@ describe('Directive v-on', () => {
       expect(spy.calls.count()).toBe(1) // should no longer trigger
     })
   })
+
+  describe('runtime modifiers', () => {
+    afterEach(() => {
+      Vue.eventModifier('times', null)
+    })
+
+    // calls the listener only every n-th time
+    function times (fn, arg) {
+      let count = 0
+      return function () {
+        if (++count % Number(arg || 2) === 0) {
+          return fn.apply(this, arguments)
+        }
+      }
+    }
+
+    it('should wrap the listener with a registered modifier', () => {
+      Vue.eventModifier('times', times)
+      expect(Vue.eventModifier('times')).toBe(times)
+      vm = new Vue({
+        el,
+        template: '<div @click.times.3="foo"></div>',
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'click')
+      triggerEvent(vm.$el, 'click')
+      expect(spy).not.toHaveBeenCalled()
+      triggerEvent(vm.$el, 'click')
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('should keep the wrapper across re-renders', done => {
+      Vue.eventModifier('times', times)
+      const spy2 = jasmine.createSpy()
+      vm = new Vue({
+        el,
+        data: { ok: true },
+        template: '<div @click.times="ok ? foo() : bar()"></div>',
+        methods: { foo: spy, bar: spy2 }
+      })
+      triggerEvent(vm.$el, 'click')
+      vm.ok = false
+      waitForUpdate(() => {
+        // the count carries over, the new handler is used
+        triggerEvent(vm.$el, 'click')
+        expect(spy).not.toHaveBeenCalled()
+        expect(spy2.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should not treat a runtime modifier as a key filter', () => {
+      Vue.eventModifier('times', times)
+      vm = new Vue({
+        el,
+        template: '<input @keyup.times="foo">',
+        methods: { foo: spy }
+      })
+      triggerEvent(vm.$el, 'keyup', e => {
+        e.key = 'a'
+      })
+      triggerEvent(vm.$el, 'keyup', e => {
+        e.key = 'a'
+      })
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('should unregister a modifier with null', () => {
+      Vue.eventModifier('times', times)
+      Vue.eventModifier('times', null)
+      expect(Vue.eventModifier('times')).toBeUndefined()
+    })
+
+    it('should still filter on keys combined with a runtime modifier', () => {
+      Vue.eventModifier('times', times)
+      vm = new Vue({
+        el,
+        template: '<input @keyup.enter.times.1="foo" @keydown.13.times="bar">',
+        methods: { foo: spy, bar: spy }
+      })
+      triggerEvent(vm.$el, 'keyup', e => {
+        e.key = 'a'
+        e.keyCode = 65
+      })
+      expect(spy).not.toHaveBeenCalled()
+      triggerEvent(vm.$el, 'keyup', e => {
+        e.key = 'Enter'
+        e.keyCode = 13
+      })
+      expect(spy.calls.count()).toBe(1)
+      triggerEvent(vm.$el, 'keydown', e => {
+        e.keyCode = 65
+      })
+      triggerEvent(vm.$el, 'keydown', e => {
+        e.keyCode = 65
+      })
+      expect(spy.calls.count()).toBe(1)
+    })
+
+    it('should only apply to the listener it is used on', done => {
+      Vue.eventModifier('times', times)
+      const spy2 = jasmine.createSpy()
+      vm = new Vue({
+        el,
+        data: { n: 0 },
+        template: '<test @foo.times="foo" @foo="bar" :n="n"></test>',
+        methods: { foo: spy, bar: spy2 },
+        components: {
+          test: {
+            props: ['n'],
+            template: '<div>{{ n }}</div>'
+          }
+        }
+      })
+      const child = vm.$children[0]
+      child.$emit('foo')
+      expect(spy).not.toHaveBeenCalled()
+      expect(spy2.calls.count()).toBe(1)
+      vm.n++
+      waitForUpdate(() => {
+        // the wrapper of the first listener is kept across re-renders
+        child.$emit('foo')
+        expect(spy.calls.count()).toBe(1)
+        expect(spy2.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('should apply to component events', () => {
+      Vue.eventModifier('times', times)
+      vm = new Vue({
+        el,
+        template: '<test @foo.times="foo"></test>',
+        methods: { foo: spy },
+        components: {
+          test: {
+            template: '<div></div>'
+          }
+        }
+      })
+      const child = vm.$children[0]
+      child.$emit('foo', { type: 'foo' })
+      child.$emit('foo', { type: 'foo' })
+      expect(spy.calls.count()).toBe(1)
+    })
+  })
 })
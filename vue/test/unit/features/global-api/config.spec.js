@@ -122,4 +122,46 @@ describe('Global config', () => {
       Vue.config.async = true
     })
   })
+
+  describe('compileCache', () => {
+    it('should be used when compiling templates at runtime', () => {
+      const entries = {}
+      Vue.config.compileCache = {
+        get: key => entries[key],
+        set: (key, entry) => {
+          entries[key] = entry
+        }
+      }
+      const vm = new Vue({
+        template: '<div class="compile-cache">{{ msg }}</div>',
+        data: { msg: 'hi' }
+      }).$mount()
+      Vue.config.compileCache = null
+      expect(vm.$el.textContent).toBe('hi')
+      const keys = Object.keys(entries)
+      expect(keys.length).toBe(1)
+      expect(entries[keys[0]].render).toContain('compile-cache')
+    })
+  })
+
+  describe('templateSourceMaps', () => {
+    const sourceMapRE = /sourceMappingURL=data:application\/json/
+
+    it('should not inline source maps by default', () => {
+      const vm = new Vue({
+        template: '<div class="no-source-map"></div>'
+      }).$mount()
+      expect(sourceMapRE.test(vm.$options.render.toString())).toBe(false)
+    })
+
+    it('should inline source maps when enabled', () => {
+      Vue.config.templateSourceMaps = true
+      const vm = new Vue({
+        template: '<div class="source-map"></div>'
+      }).$mount()
+      Vue.config.templateSourceMaps = false
+      expect(sourceMapRE.test(vm.$options.render.toString())).toBe(true)
+    })
+  })
 })
+
@@ -0,0 +1,118 @@
+import Vue from 'vue'
+
+describe('Global API: hydrateIslands', () => {
+  const Counter = {
+    name: 'counter',
+    props: ['start'],
+    data () {
+      return { count: this.start }
+    },
+    template: `<div><button @click="count++">{{ count }}</button></div>`
+  }
+
+  function createIsland (hydrate, props = { start: 1 }) {
+    const root = document.createElement('div')
+    root.innerHTML =
+      `<p>static</p>` +
+      `<div data-island="counter" data-island-hydrate="${hydrate}" ` +
+      `data-island-props='${JSON.stringify(props)}'><button>${props.start}</button></div>`
+    return root
+  }
+
+  function isHydrated (root) {
+    return !!root.querySelector('[data-island]').__vue__
+  }
+
+  it('should hydrate islands in place once idle', done => {
+    const root = createIsland('idle')
+    const button = root.querySelector('button')
+    Vue.hydrateIslands({ Counter }, root)
+    expect(isHydrated(root)).toBe(false)
+    setTimeout(() => {
+      expect(isHydrated(root)).toBe(true)
+      // the server-rendered elements are reused
+      expect(root.querySelector('button')).toBe(button)
+      triggerEvent(button, 'click')
+      waitForUpdate(() => {
+        expect(button.textContent).toBe('2')
+      }).then(done)
+    }, 10)
+  })
+
+  it('should hydrate on interaction', done => {
+    const root = createIsland('interaction', { start: 5 })
+    Vue.hydrateIslands({ Counter }, root)
+    setTimeout(() => {
+      expect(isHydrated(root)).toBe(false)
+      triggerEvent(root.querySelector('button'), 'mouseover')
+      setTimeout(() => {
+        expect(isHydrated(root)).toBe(true)
+        expect(root.querySelector('[data-island]').__vue__.count).toBe(5)
+        done()
+      })
+    }, 10)
+  })
+
+  it('should hydrate when visible', done => {
+    const observed = []
+    const IO = window.IntersectionObserver
+    window.IntersectionObserver = function (cb) {
+      this.observe = el => observed.push({ el, cb })
+      this.disconnect = () => {}
+    }
+    const root = createIsland('visible')
+    Vue.hydrateIslands({ Counter }, root)
+    window.IntersectionObserver = IO
+    expect(observed.length).toBe(1)
+    observed[0].cb([{ isIntersecting: false }])
+    setTimeout(() => {
+      expect(isHydrated(root)).toBe(false)
+      observed[0].cb([{ isIntersecting: true }])
+      setTimeout(() => {
+        expect(isHydrated(root)).toBe(true)
+        done()
+      })
+    })
+  })
+
+  it('should not hydrate "never" islands', done => {
+    const root = createIsland('never')
+    Vue.hydrateIslands({ Counter }, root)
+    setTimeout(() => {
+      expect(isHydrated(root)).toBe(false)
+      done()
+    }, 10)
+  })
+
+  it('should cancel pending triggers', done => {
+    const root = createIsland('interaction')
+    const cancel = Vue.hydrateIslands({ Counter }, root)
+    cancel()
+    triggerEvent(root.querySelector('button'), 'click')
+    setTimeout(() => {
+      expect(isHydrated(root)).toBe(false)
+      done()
+    })
+  })
+
+  it('should resolve global and async components', done => {
+    const root = createIsland('idle')
+    Vue.component('counter', () => Promise.resolve({ default: Counter }))
+    Vue.hydrateIslands(undefined, root)
+    setTimeout(() => {
+      delete Vue.options.components.counter
+      expect(isHydrated(root)).toBe(true)
+      done()
+    }, 10)
+  })
+
+  it('should warn unknown components', done => {
+    const root = createIsland('idle')
+    Vue.hydrateIslands({}, root)
+    setTimeout(() => {
+      expect('Error in hydration of island counter').toHaveBeenWarned()
+      expect('Unknown island component: counter').toHaveBeenWarned()
+      done()
+    }, 10)
+  })
+})
@@ -0,0 +1,107 @@
+import Vue from 'vue'
+
+describe('Global API: profiler', () => {
+  const types = events => events.map(e => `${e.type} ${e.name || ''}`.trim())
+
+  afterEach(() => {
+    // make sure a failing spec does not leave the profiler running
+    Vue.profiler.stop()
+  })
+
+  it('should record init, compile, render and patch per component', () => {
+    Vue.profiler.start()
+    new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: { name: 'child', template: '<span>child</span>' }
+      }
+    }).$mount()
+    const trace = Vue.profiler.stop()
+    expect(types(trace.events)).toEqual([
+      'init <Root>',
+      'compile <Root>',
+      'render <Root>',
+      'init <Child>',
+      'compile <Child>',
+      'render <Child>',
+      'patch <Child>',
+      'patch <Root>'
+    ])
+    trace.events.forEach(e => {
+      expect(typeof e.uid).toBe('number')
+      expect(e.duration).not.toBeLessThan(0)
+      expect(e.start).not.toBeLessThan(trace.start)
+      expect(e.start + e.duration).not.toBeGreaterThan(trace.end)
+    })
+  })
+
+  it('should record watcher runs and nextTick flushes', done => {
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: '<div>{{ msg }}</div>',
+      watch: {
+        msg () {}
+      }
+    }).$mount()
+    Vue.profiler.start()
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      // the flush in progress is recorded once it has finished
+    }).then(() => {
+      const trace = Vue.profiler.stop()
+      expect(types(trace.events)).toEqual([
+        'watcher <Root>',
+        'render <Root>',
+        'patch <Root>',
+        'watcher <Root>',
+        'nextTick'
+      ])
+      expect(trace.events[0].detail).toBe('msg')
+      expect(trace.events[3].detail).toBe('render')
+    }).then(done)
+  })
+
+  it('should not record anything when stopped', () => {
+    Vue.profiler.start()
+    Vue.profiler.stop()
+    new Vue({ render: h => h('div') }).$mount()
+    expect(Vue.profiler.stop().events.length).toBe(0)
+  })
+
+  it('should notify listeners', () => {
+    const spy = jasmine.createSpy('listener')
+    const remove = Vue.profiler.addListener(spy)
+    new Vue({ render: h => h('div') }).$mount()
+    expect(spy.calls.count()).toBe(3)
+    expect(spy.calls.argsFor(1)[0].type).toBe('render')
+    remove()
+    new Vue({ render: h => h('div') }).$mount()
+    expect(spy.calls.count()).toBe(3)
+  })
+
+  it('should report errors in listeners', () => {
+    const remove = Vue.profiler.addListener(() => {
+      throw new Error('oops')
+    })
+    new Vue({ render: h => h('div') }).$mount()
+    remove()
+    expect('Error in profiler listener').toHaveBeenWarned()
+    expect('Error: oops').toHaveBeenWarned()
+  })
+
+  it('should export Chrome trace events', () => {
+    Vue.profiler.start()
+    new Vue({ render: h => h('div') }).$mount()
+    const trace = Vue.profiler.stop()
+    const { traceEvents } = trace.toChromeTrace()
+    expect(traceEvents.length).toBe(3)
+    const render = traceEvents[1]
+    expect(render.name).toBe('vue <Root> render')
+    expect(render.cat).toBe('vue,render')
+    expect(render.ph).toBe('X')
+    expect(render.ts).toBe(Math.round(trace.events[1].start * 1000))
+    expect(render.dur).toBe(Math.round(trace.events[1].duration * 1000))
+    expect(render.args.uid).toBe(trace.events[1].uid)
+    expect(JSON.parse(JSON.stringify(trace.toChromeTrace()))).toEqual(trace.toChromeTrace())
+  })
+})
@@ -0,0 +1,170 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive + watchEffect', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('effect')
+    const stop = Vue.watchEffect(() => {
+      spy(state.count)
+    })
+    expect(spy).toHaveBeenCalledWith(0)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy.calls.count()).toBe(2)
+      stop()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('reactive should warn on non-observable values', () => {
+    expect(Vue.reactive(1)).toBe(1)
+    expect('Cannot make a reactive object out of 1').toHaveBeenWarned()
+  })
+
+  it('ref', done => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(Vue.isRef({ value: 0 })).toBe(false)
+    expect(Vue.ref(count)).toBe(count)
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(count.value)
+    })
+    count.value = 1
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1)
+    }).then(done)
+  })
+
+  it('computed', done => {
+    const count = Vue.ref(1)
+    const getter = jasmine.createSpy('getter').and.callFake(() => count.value * 2)
+    const double = Vue.computed(getter)
+    // lazy
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    count.value = 2
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+
+    double.value = 1
+    expect('computed value is readonly').toHaveBeenWarned()
+
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => {
+      spy(double.value)
+    })
+    count.value = 3
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(6)
+    }).then(done)
+  })
+
+  it('computed with debug options', () => {
+    const state = Vue.reactive({ count: 0 })
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const double = Vue.computed(() => state.count * 2, { onTrack, onTrigger })
+    expect(double.value).toBe(0)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      effect: double.effect,
+      target: state,
+      key: 'count',
+      type: 'get'
+    }))
+    state.count++
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: state,
+      key: 'count',
+      type: 'set'
+    }))
+  })
+
+  it('computed with setter', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => {
+        count.value = val - 1
+      }
+    })
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('computed used in render', done => {
+    const state = Vue.reactive({ msg: 'foo' })
+    const upper = Vue.computed(() => state.msg.toUpperCase())
+    const vm = new Vue({
+      render (h) {
+        return h('div', upper.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('FOO')
+    state.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('effectScope', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('effect')
+    const dispose = jasmine.createSpy('dispose')
+    const scope = Vue.effectScope()
+    let double
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+      double = Vue.computed(() => state.count * 2)
+      Vue.watchEffect(() => {
+        spy(double.value)
+      })
+      Vue.onScopeDispose(dispose)
+    })
+    expect(Vue.getCurrentScope()).toBeUndefined()
+    expect(scope.effects.length).toBe(2)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2)
+      scope.stop()
+      expect(scope.active).toBe(false)
+      expect(dispose).toHaveBeenCalled()
+      expect(double.effect.active).toBe(false)
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      scope.run(() => {})
+      expect('Cannot run an inactive effect scope').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('nested effectScope', () => {
+    const parent = Vue.effectScope()
+    let child, detached
+    parent.run(() => {
+      child = Vue.effectScope()
+      detached = Vue.effectScope(true)
+    })
+    expect(parent.scopes).toEqual([child])
+    child.stop()
+    expect(parent.scopes.length).toBe(0)
+
+    parent.run(() => {
+      child = Vue.effectScope()
+    })
+    parent.stop()
+    expect(child.active).toBe(false)
+    expect(detached.active).toBe(true)
+  })
+
+  it('onScopeDispose should warn without an active scope', () => {
+    Vue.onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+})
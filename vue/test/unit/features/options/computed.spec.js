@@ -216,4 +216,32 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('onTrack and onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () { return this.a + 1 },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      key: 'a',
+      type: 'get'
+    }))
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      key: 'a',
+      type: 'set'
+    }))
+    expect(vm.b).toBe(3)
+  })
 })
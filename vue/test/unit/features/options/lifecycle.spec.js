@@ -311,6 +311,42 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked & renderTriggered', () => {
+    it('should be called with debugger events', done => {
+      const tracked = []
+      const triggered = []
+      const vm = new Vue({
+        data: { msg: 'foo', list: [1] },
+        render (h) {
+          return h('div', [this.msg, this.list.length])
+        },
+        renderTracked (e) {
+          tracked.push(e)
+        },
+        renderTriggered (e) {
+          triggered.push(e)
+        }
+      }).$mount()
+      expect(tracked.map(e => e.key)).toEqual(['msg', 'list'])
+      expect(tracked[0].target).toBe(vm._data)
+      expect(tracked[0].type).toBe('get')
+      expect(tracked[0].effect).toBe(vm._watcher)
+      expect(triggered.length).toBe(0)
+      vm.msg = 'bar'
+      vm.list.push(2)
+      expect(triggered.length).toBe(2)
+      expect(triggered[0].target).toBe(vm._data)
+      expect(triggered[0].key).toBe('msg')
+      expect(triggered[0].type).toBe('set')
+      expect(triggered[1].target).toBe(vm.list)
+      expect(triggered[1].key).toBe('push')
+      expect(triggered[1].type).toBe('array mutation')
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar2')
+      }).then(done)
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
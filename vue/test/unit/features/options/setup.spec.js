@@ -0,0 +1,244 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose bindings to the render context', done => {
+    const vm = new Vue({
+      props: ['msg'],
+      propsData: { msg: 'hi' },
+      setup (props) {
+        const count = Vue.ref(0)
+        const state = Vue.reactive({ label: props.msg })
+        const increment = () => {
+          count.value++
+        }
+        return { count, state, increment }
+      },
+      template: '<div @click="increment">{{ state.label }} {{ count }}</div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hi 0')
+    // refs are unwrapped on the instance
+    expect(vm.count).toBe(0)
+    vm.$el.click()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('hi 1')
+      vm.count = 5
+    }).then(() => {
+      expect(vm._setupState.count.value).toBe(5)
+      expect(vm.$el.textContent).toBe('hi 5')
+    }).then(done)
+  })
+
+  it('should receive reactive props', done => {
+    const spy = jasmine.createSpy('effect')
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<test :msg="msg"></test>',
+      components: {
+        test: {
+          props: ['msg'],
+          setup (props) {
+            Vue.watchEffect(() => spy(props.msg))
+          },
+          render (h) {
+            return h('div', this.msg)
+          }
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith('foo')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('bar')
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should use a returned render function', done => {
+    const vm = new Vue({
+      setup () {
+        const msg = Vue.ref('foo')
+        setTimeout(() => {
+          msg.value = 'bar'
+        })
+        return h => h('div', msg.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo')
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('bar')
+      }).then(done)
+    })
+  })
+
+  it('should provide attrs, listeners, slots and emit on the context', () => {
+    let ctx
+    const onFoo = jasmine.createSpy('foo')
+    const vm = new Vue({
+      template: '<test id="a" @foo="onFoo"><span>slot</span></test>',
+      methods: { onFoo },
+      components: {
+        test: {
+          setup (props, context) {
+            ctx = context
+            return h => h('div', context.slots.default())
+          }
+        }
+      }
+    }).$mount()
+    expect(ctx.attrs.id).toBe('a')
+    expect(ctx.listeners.foo).toBeDefined()
+    expect(vm.$el.innerHTML).toBe('<span>slot</span>')
+    ctx.emit('foo', 1, 2)
+    expect(onFoo).toHaveBeenCalledWith(1, 2)
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { n: 0 },
+      mounted () {
+        calls.push('options mounted')
+      },
+      setup () {
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+      },
+      render (h) {
+        return h('div', this.n)
+      }
+    }).$mount()
+    expect(calls).toEqual(['beforeMount', 'options mounted', 'mounted'])
+    vm.n++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+    }).then(done)
+  })
+
+  it('should not share hooks between instances', () => {
+    const spy = jasmine.createSpy('mounted')
+    let registered = false
+    const Comp = Vue.extend({
+      setup () {
+        if (!registered) {
+          registered = true
+          Vue.onMounted(spy)
+        }
+      },
+      render: h => h('div')
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should stop effects created in setup on destroy', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('effect')
+    let double
+    const vm = new Vue({
+      setup () {
+        double = Vue.computed(() => state.count * 2)
+        Vue.watchEffect(() => spy(double.value))
+      },
+      render: h => h('div')
+    }).$mount()
+    expect(spy.calls.count()).toBe(1)
+    vm.$destroy()
+    expect(double.effect.active).toBe(false)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should warn when registering hooks outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('mounted lifecycle hook can only be registered during setup()').toHaveBeenWarned()
+  })
+
+  it('should warn bindings conflicting with props', () => {
+    new Vue({
+      props: ['foo'],
+      setup () {
+        return { foo: 1 }
+      },
+      render: h => h('div')
+    })
+    expect('The setup binding "foo" is already declared as a prop').toHaveBeenWarned()
+  })
+
+  it('should warn data, methods and computed conflicting with bindings', () => {
+    const bar = Vue.ref(2)
+    const vm = new Vue({
+      data: () => ({ foo: 1 }),
+      methods: {
+        bar () {}
+      },
+      computed: {
+        baz: () => 3
+      },
+      setup () {
+        return { foo: 'setup', bar, baz: 'setup' }
+      },
+      render: h => h('div')
+    })
+    expect('The data property "foo" is already declared as a setup binding').toHaveBeenWarned()
+    expect('Method "bar" has already been defined as a setup binding').toHaveBeenWarned()
+    expect('The computed property "baz" is already defined as a setup binding').toHaveBeenWarned()
+    // the bindings are kept
+    expect(vm.foo).toBe('setup')
+    expect(vm.bar).toBe(2)
+    expect(bar.value).toBe(2)
+    expect(vm.baz).toBe('setup')
+  })
+
+  it('should warn invalid return values', () => {
+    new Vue({
+      setup () {
+        return 1
+      },
+      render: h => h('div')
+    })
+    expect('setup() should return an object or a render function').toHaveBeenWarned()
+  })
+
+  it('should handle errors in setup', () => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const err = new Error('setup')
+    const vm = new Vue({
+      setup () {
+        throw err
+      },
+      render: h => h('div')
+    })
+    expect(spy).toHaveBeenCalledWith(err, vm, 'setup')
+    Vue.config.errorHandler = null
+  })
+
+  it('should handle errors applying the result of an async setup', done => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const err = new Error('apply')
+    const vm = new Vue({
+      setup () {
+        return Promise.resolve({
+          get _isVue () {
+            throw err
+          }
+        })
+      },
+      render: h => h('div')
+    })
+    setTimeout(() => {
+      expect(spy).toHaveBeenCalledWith(err, vm, 'setup')
+      Vue.config.errorHandler = null
+      done()
+    })
+  })
+})
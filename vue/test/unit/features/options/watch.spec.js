@@ -106,6 +106,127 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with option: deep on Map and Set', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set()
+      },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true
+        },
+        set: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(vm.map, vm.map)
+      expect(spy.calls.count()).toBe(1)
+      vm.set.add({ c: 1 })
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.set, vm.set)
+      expect(spy.calls.count()).toBe(2)
+      vm.set.forEach(item => {
+        item.c = 2
+      })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('with option: flush sync', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler: spy,
+          flush: 'sync'
+        }
+      }
+    })
+    vm.a = 2
+    expect(spy).toHaveBeenCalledWith(2, 1)
+  })
+
+  it('with option: flush pre', done => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: '<div>{{ a }}</div>'
+    }).$mount()
+    // created after the render watcher, but still runs before re-render
+    vm.$watch('a', () => {
+      spy(vm.$el.textContent)
+    }, { flush: 'pre' })
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('1')
+      expect(vm.$el.textContent).toBe('2')
+    }).then(done)
+  })
+
+  it('with option: flush post', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { a: 1, b: 1 },
+      template: '<div>{{ a }} {{ b }}</div>',
+      watch: {
+        a: {
+          handler (val) {
+            calls.push('watch ' + this.$el.textContent)
+            // changes made here are flushed in a new tick
+            this.b = val
+          },
+          flush: 'post'
+        }
+      },
+      updated () {
+        calls.push('updated')
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(calls).toEqual(['watch 2 1', 'updated'])
+    }).then(() => {
+      expect(calls).toEqual(['watch 2 1', 'updated', 'updated'])
+      expect(vm.$el.textContent).toBe('2 2')
+    }).then(done)
+  })
+
+  it('with option: onTrack and onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: { b: 1 }}
+    })
+    vm.$watch('a.b', spy, { onTrack, onTrigger })
+    expect(onTrack.calls.allArgs().map(args => args[0].key)).toEqual(['a', 'b'])
+    expect(onTrack.calls.argsFor(1)[0].target).toBe(vm.a)
+    vm.$set(vm.a, 'c', 1)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.a,
+      key: 'c',
+      type: 'add'
+    }))
+  })
+
+  it('should warn invalid flush option', () => {
+    new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler: spy,
+          flush: 'later'
+        }
+      }
+    })
+    expect('Invalid watcher flush option "later"').toHaveBeenWarned()
+  })
+
   it('correctly merges multiple extends', done => {
     const spy2 = jasmine.createSpy('A')
     const spy3 = jasmine.createSpy('B')
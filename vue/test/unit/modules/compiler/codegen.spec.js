@@ -1,3 +1,4 @@
+import Vue from 'vue'
 import { parse } from 'compiler/parser/index'
 import { optimize } from 'compiler/optimizer'
 import { generate } from 'compiler/codegen'
@@ -395,10 +396,10 @@ describe('codegen', () => {
       '<input @input.13="onInput">',
       `with(this){return _c('input',{on:{"input":function($event){if(!$event.type.indexOf('key')&&$event.keyCode!==13)return null;return onInput($event)}}})}`
     )
-    // custom keycode
+    // custom keycode, or a modifier registered at runtime
     assertCodegen(
       '<input @input.custom="onInput">',
-      `with(this){return _c('input',{on:{"input":function($event){if(!$event.type.indexOf('key')&&_k($event.keyCode,"custom",undefined,$event.key,undefined))return null;return onInput($event)}}})}`
+      `with(this){return _c('input',{on:{"input":{handler:function($event){if(!$event.type.indexOf('key')&&_k($event.keyCode,"custom",undefined,$event.key,undefined))return null;return onInput($event)},modifiers:{"custom":true}}}})}`
     )
   })
 
@@ -464,6 +465,39 @@ describe('codegen', () => {
     )
   })
 
+  it('generate events with modifiers from compiler modules', () => {
+    const options = extend({}, baseOptions)
+    options.modules = baseOptions.modules.concat({
+      modifierCode: {
+        composing: 'if($event.isComposing)return null;',
+        min: arg => `if($event.detail<${arg})return null;`
+      }
+    })
+    assertCodegen(
+      '<input @keyup.enter.composing="onInput" @click.min.2="onClick">',
+      `with(this){return _c('input',{on:{"keyup":function($event){if(!$event.type.indexOf('key')&&_k($event.keyCode,"enter",13,$event.key,"Enter"))return null;if($event.isComposing)return null;return onInput($event)},"click":function($event){if($event.detail<2)return null;return onClick($event)}}})}`,
+      options
+    )
+  })
+
+  it('generate events with runtime modifiers', () => {
+    Vue.eventModifier('debounce', fn => fn)
+    Vue.eventModifier('throttle', fn => fn)
+    assertCodegen(
+      '<input @input.debounce.300="onInput" @keyup.13.throttle="onKeyup">',
+      `with(this){return _c('input',{on:{"input":{handler:function($event){return onInput($event)},modifiers:{"debounce":"300"}},"keyup":{handler:function($event){if(!$event.type.indexOf('key')&&$event.keyCode!==13)return null;return onKeyup($event)},modifiers:{"throttle":true}}}})}`
+    )
+    Vue.eventModifier('debounce', null)
+    Vue.eventModifier('throttle', null)
+  })
+
+  it('generate events with a key code after an unregistered key alias', () => {
+    assertCodegen(
+      '<input @keyup.page-down.34="onKeyup">',
+      `with(this){return _c('input',{on:{"keyup":{handler:function($event){if(!$event.type.indexOf('key')&&$event.keyCode!==34&&_k($event.keyCode,"page-down",undefined,$event.key,undefined))return null;return onKeyup($event)},modifiers:{"page-down":true}}}})}`
+    )
+  })
+
   it('generate events with capture modifier', () => {
     assertCodegen(
       '<input @input.capture="onInput">',
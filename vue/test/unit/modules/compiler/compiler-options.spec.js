@@ -1,5 +1,8 @@
 import Vue from 'vue'
 import { compile } from 'web/compiler'
+import { baseOptions } from 'web/compiler/options'
+import { createCompiler } from 'compiler/index'
+import { ssrCompileToFunctions } from 'web/server/compiler'
 import { getAndRemoveAttr } from 'compiler/helpers'
 
 describe('compile options', () => {
@@ -153,4 +156,105 @@ describe('compile options', () => {
     expect(compiled.errors[0].start).toBe(11)
     expect(compiled.errors[0].end).toBe(27)
   })
+
+  describe('persistent cache', () => {
+    let entries, cache
+    beforeEach(() => {
+      entries = {}
+      cache = {
+        get: jasmine.createSpy('get').and.callFake(key => entries[key]),
+        set: jasmine.createSpy('set').and.callFake((key, entry) => {
+          entries[key] = entry
+        })
+      }
+    })
+
+    // a new compiler, so that its in-memory cache is empty
+    const compileToFunctions = (template, options) =>
+      createCompiler(baseOptions).compileToFunctions(template, options)
+
+    it('should persist and reuse compiled output', () => {
+      compileToFunctions('<div>{{ msg }}</div>', { cache })
+      expect(cache.set.calls.count()).toBe(1)
+      const [key, entry] = cache.set.calls.argsFor(0)
+      expect(typeof key).toBe('string')
+      expect(entry.version).toBe(Vue.version)
+      expect(entry.render).toContain('_s(msg)')
+
+      entry.render = `with(this){return _c('p',[_v("cached")])}`
+      const { render } = compileToFunctions('<div>{{ msg }}</div>', { cache })
+      expect(cache.set.calls.count()).toBe(1)
+      const vm = new Vue({ render }).$mount()
+      expect(vm.$el.outerHTML).toBe('<p>cached</p>')
+    })
+
+    it('should ignore entries of other versions', () => {
+      compileToFunctions('<div>{{ msg }}</div>', { cache })
+      const [key, entry] = cache.set.calls.argsFor(0)
+      entry.version = '0.0.0'
+      compileToFunctions('<div>{{ msg }}</div>', { cache })
+      expect(cache.set.calls.count()).toBe(2)
+      expect(entries[key].version).toBe(Vue.version)
+    })
+
+    it('should key by compiler and options', () => {
+      compileToFunctions('<div>{{ msg }}</div>', { cache })
+      compileToFunctions('<div>{{ msg }}</div>', { cache, delimiters: ['${', '}'] })
+      ssrCompileToFunctions('<div>{{ msg }}</div>', { cache })
+      const keys = cache.set.calls.allArgs().map(args => args[0])
+      expect(keys.length).toBe(3)
+      expect(keys[0]).not.toBe(keys[1])
+      expect(keys[0]).not.toBe(keys[2])
+      expect(entries[keys[2]].render).toContain('_ssrNode')
+    })
+
+    it('should key by source map options and keep the maps', () => {
+      const template = '<div>{{ msg }}</div>'
+      compileToFunctions(template, { cache })
+      compileToFunctions(template, { cache, sourceMap: true, filename: 'a.html' })
+      compileToFunctions(template, { cache, sourceMap: true, filename: 'b.html' })
+      const keys = cache.set.calls.allArgs().map(args => args[0])
+      expect(keys.length).toBe(3)
+      expect(keys[0]).not.toBe(keys[1])
+      expect(keys[1]).not.toBe(keys[2])
+      expect(entries[keys[0]].sourceMaps).toBeUndefined()
+      expect(entries[keys[1]].sourceMaps.render.sources).toEqual(['a.html'])
+
+      const { render } = compileToFunctions(template, { cache, sourceMap: true, filename: 'a.html' })
+      expect(cache.set.calls.count()).toBe(3)
+      expect(render.toString()).toContain('sourceMappingURL=data:application/json')
+    })
+
+    it('should key by compiler modules and directives', () => {
+      const template = '<div id="app">{{ msg }}</div>'
+      compileToFunctions(template, { cache })
+      compileToFunctions(template, { cache, modules: [{ genData: () => 'a:1,' }] })
+      compileToFunctions(template, { cache, modules: [{ genData: () => 'a:2,' }] })
+      compileToFunctions(template, { cache, directives: { foo () {} } })
+      const keys = cache.set.calls.allArgs().map(args => args[0])
+      expect(keys.length).toBe(4)
+      expect(keys[1]).not.toBe(keys[0])
+      expect(keys[2]).not.toBe(keys[1])
+      expect(keys[3]).not.toBe(keys[0])
+      expect(entries[keys[2]].render).toContain('a:2')
+    })
+
+    it('should compile again when an entry is corrupted', () => {
+      compileToFunctions('<div>{{ msg }}</div>', { cache })
+      const [key, entry] = cache.set.calls.argsFor(0)
+      entry.render = 'with(this){return _c('
+      const { render } = compileToFunctions('<div>{{ msg }}</div>', { cache })
+      expect('Failed to generate render function').toHaveBeenWarned()
+      expect(cache.set.calls.count()).toBe(2)
+      expect(entries[key].render).toContain('_s(msg)')
+      const vm = new Vue({ data: { msg: 'hi' }, render }).$mount()
+      expect(vm.$el.outerHTML).toBe('<div>hi</div>')
+    })
+
+    it('should not persist templates with errors', () => {
+      compileToFunctions('<div v-if="a b"></div>', { cache, warn () {} })
+      expect(cache.get).toHaveBeenCalled()
+      expect(cache.set).not.toHaveBeenCalled()
+    })
+  })
 })
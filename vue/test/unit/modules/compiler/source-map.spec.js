@@ -0,0 +1,116 @@
+import { compile, compileToFunctions } from 'web/compiler'
+import { ssrCompile } from 'web/server/compiler'
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function decodeSegment (segment) {
+  const values = []
+  let value = 0
+  let shift = 0
+  for (let i = 0; i < segment.length; i++) {
+    const digit = base64.indexOf(segment[i])
+    value += (digit & 31) << shift
+    if (digit & 32) {
+      shift += 5
+    } else {
+      values.push(value & 1 ? -(value >> 1) : value >> 1)
+      value = shift = 0
+    }
+  }
+  return values
+}
+
+// [generated line, generated column] -> [source line, source column]
+function decode (mappings) {
+  const res = {}
+  let line = 0
+  let column = 0
+  mappings.split(';').forEach((segments, generatedLine) => {
+    let generated = 0
+    segments && segments.split(',').forEach(segment => {
+      const values = decodeSegment(segment)
+      generated += values[0]
+      line += values[2]
+      column += values[3]
+      res[`${generatedLine}:${generated}`] = [line, column]
+    })
+  })
+  return res
+}
+
+// the template position the given generated code is mapped to
+function sourceOf (code, map, generated) {
+  const index = code.indexOf(generated)
+  expect(index).toBeGreaterThan(-1)
+  const lines = code.slice(0, index).split('\n')
+  return decode(map.mappings)[`${lines.length - 1}:${lines[lines.length - 1].length}`]
+}
+
+describe('source map', () => {
+  const template = [
+    '',
+    '  <div id="app">',
+    '    <p v-if="ok" :title="msg">{{ msg }}</p>',
+    '    <span v-for="i in list">{{ i }}</span>',
+    '  </div>'
+  ].join('\n')
+  const options = { outputSourceRange: true, sourceMap: true, filename: 'app.html' }
+
+  it('should map generated code to template positions', () => {
+    const { render, sourceMaps } = compile(template, options)
+    const map = sourceMaps.render
+    expect(map.version).toBe(3)
+    expect(map.sources).toEqual(['app.html'])
+    expect(map.sourcesContent).toEqual([template])
+    expect(sourceOf(render, map, `_c('div'`)).toEqual([1, 2])
+    expect(sourceOf(render, map, `(ok)?`)).toEqual([2, 4])
+    expect(sourceOf(render, map, `msg}},`)).toEqual([2, 17])
+    expect(sourceOf(render, map, `_v(_s(msg))`)).toEqual([2, 30])
+    expect(sourceOf(render, map, `_l((list)`)).toEqual([3, 4])
+    expect(sourceOf(render, map, `_v(_s(i))`)).toEqual([3, 28])
+  })
+
+  it('should map static render functions', () => {
+    const { staticRenderFns, sourceMaps } = compile(
+      '<div>\n  <p><b>static</b></p>\n</div>',
+      options
+    )
+    expect(staticRenderFns.length).toBe(1)
+    expect(sourceOf(staticRenderFns[0], sourceMaps.staticRenderFns[0], `_c('b'`)).toEqual([1, 5])
+  })
+
+  it('should not change the generated code', () => {
+    const res = compile(template, options)
+    expect(res.render).toBe(compile(template, { outputSourceRange: true }).render)
+    expect(res.render).not.toContain('\u0000')
+  })
+
+  it('should map SSR optimized code', () => {
+    const { render, sourceMaps } = ssrCompile(template, options)
+    expect(sourceOf(render, sourceMaps.render, `_c('div'`)).toEqual([1, 2])
+    expect(sourceOf(render, sourceMaps.render, `_ssrList(`)).toEqual([3, 4])
+    expect(sourceOf(render, sourceMaps.render, `_s(i))+"</span>"`)).toEqual([3, 28])
+  })
+
+  it('should be inlined by compileToFunctions', () => {
+    const { render } = compileToFunctions('<div>\n  {{ a.b }}\n</div>', {
+      outputSourceRange: true,
+      sourceMap: true,
+      filename: 'src/foo.html'
+    })
+    const code = render.toString()
+    expect(code).toContain('//# sourceURL=src/foo.html.render.js')
+    const inlineMap = JSON.parse(atob(code.match(/base64,(.*)/)[1]))
+    // relative to the url
+    expect(inlineMap.sources).toEqual(['foo.html'])
+    expect(inlineMap.mappings.slice(0, 2)).toBe(';;')
+    // stack traces point at the source url
+    let err
+    try {
+      render.call({ _c () {}, _v () {}, _s () {}, a: null })
+    } catch (e) {
+      err = e
+    }
+    expect(err.stack).toContain('src/foo.html.render.js')
+  })
+})
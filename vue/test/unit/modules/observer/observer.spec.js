@@ -344,6 +344,103 @@ describe('Observer', () => {
     })
   })
 
+  it('observing Map mutation', () => {
+    const value = {}
+    const map = new Map([['a', value]])
+    const ob = observe(map)
+    expect(ob instanceof Observer).toBe(true)
+    // existing values should be observed
+    expect(value.__ob__ instanceof Observer).toBe(true)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('b', obj)
+    map.set('b', obj) // same value
+    map.delete('b')
+    map.delete('b') // missing key
+    map.clear()
+    map.clear() // already empty
+    expect(dep.notify.calls.count()).toBe(3)
+    // set values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set([1])
+    const ob = observe(set)
+    const dep = ob.dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj)
+    set.delete(1)
+    set.delete(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(3)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing WeakMap and WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    const mapDep = observe(weakMap).dep
+    const setDep = observe(weakSet).dep
+    spyOn(mapDep, 'notify')
+    spyOn(setDep, 'notify')
+    weakMap.set(key, 1)
+    weakMap.delete(key)
+    weakSet.add(key)
+    weakSet.delete(key)
+    expect(mapDep.notify.calls.count()).toBe(2)
+    expect(setDep.notify.calls.count()).toBe(2)
+  })
+
+  it('collecting dependencies on collection reads', () => {
+    const map = new Map([['a', new Set([1])]])
+    observe(map)
+    // mock a watcher!
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        if (this.deps.indexOf(dep) < 0) {
+          this.deps.push(dep)
+          dep.addSub(this)
+        }
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    const set = map.get('a')
+    set.has(1)
+    Dep.target = null
+    set.add(2)
+    expect(watcher.update.calls.count()).toBe(1)
+    map.set('b', 1)
+    expect(watcher.update.calls.count()).toBe(2)
+    // size, forEach and iteration should all track
+    ;[
+      () => map.size,
+      () => map.forEach(() => {}),
+      () => Array.from(map.keys()),
+      () => Array.from(map)
+    ].forEach(read => {
+      watcher.update.calls.reset()
+      watcher.deps.forEach(dep => dep.removeSub(watcher))
+      watcher.deps = []
+      Dep.target = watcher
+      read()
+      Dep.target = null
+      map.delete('b') || map.set('b', 1)
+      expect(watcher.update.calls.count()).toBe(1)
+    })
+  })
+
+  it('should not observe collection subclasses', () => {
+    class MyMap extends Map {}
+    expect(observe(new MyMap())).toBeUndefined()
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
@@ -369,4 +466,136 @@ describe('Observer', () => {
     observe(obj)
     expect(called).toBe(false)
   })
+
+  describe('proxy mode', () => {
+    beforeEach(() => {
+      Vue.config.reactivityMode = 'proxy'
+    })
+
+    afterEach(() => {
+      Vue.config.reactivityMode = 'defineProperty'
+    })
+
+    // mock a watcher!
+    function createWatcher () {
+      return {
+        deps: [],
+        addDep (dep) {
+          this.deps.push(dep)
+          dep.addSub(this)
+        },
+        update: jasmine.createSpy()
+      }
+    }
+
+    it('create on object', () => {
+      const obj = { a: { b: 1 } }
+      const ob = observe(obj)
+      expect(ob instanceof Observer).toBe(true)
+      expect(ob.value).toBe(obj)
+      expect(ob.proxy).not.toBe(obj)
+      expect(ob.proxy.__ob__).toBe(ob)
+      // nothing is converted upfront
+      expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+      expect(obj.a.__ob__).toBeUndefined()
+      // nested values are observed lazily on access
+      expect(ob.proxy.a.__ob__ instanceof Observer).toBe(true)
+      expect(ob.proxy.a).toBe(obj.a.__ob__.proxy)
+      expect(observe(ob.proxy)).toBe(ob)
+    })
+
+    it('observing property addition and deletion', () => {
+      const state = observe({ a: 1 }).proxy
+      const watcher = createWatcher()
+      Dep.target = watcher
+      state.b
+      Object.keys(state)
+      Dep.target = null
+      state.a = 2
+      expect(watcher.update.calls.count()).toBe(0)
+      state.b = 1
+      expect(watcher.update.calls.count()).toBe(2) // key b + key list
+      state.b = 1
+      expect(watcher.update.calls.count()).toBe(2)
+      delete state.b
+      expect(watcher.update.calls.count()).toBe(4)
+    })
+
+    it('observing array index and length writes', () => {
+      const state = observe({ list: [1, 2, 3] }).proxy
+      const watcher = createWatcher()
+      Dep.target = watcher
+      state.list[0]
+      Dep.target = null
+      state.list[0] = 4
+      expect(watcher.update.calls.count()).toBe(1)
+      state.list.length = 0
+      expect(watcher.update.calls.count()).toBe(2)
+      expect(state.list.length).toBe(0)
+    })
+
+    it('should not track reads done by array mutators', () => {
+      const list = observe([{ a: 1 }]).proxy
+      const watcher = createWatcher()
+      Dep.target = watcher
+      list.push(2)
+      Dep.target = null
+      expect(watcher.deps.length).toBe(0)
+      expect(list.indexOf(list[0])).toBe(0)
+      expect(list.indexOf(list.__ob__.value[0])).toBe(0)
+    })
+
+    it('set/delete go through the proxy', () => {
+      const state = observe({ a: 1 }).proxy
+      const watcher = createWatcher()
+      Dep.target = watcher
+      Object.keys(state)
+      Dep.target = null
+      setProp(state, 'b', 2)
+      expect(state.b).toBe(2)
+      expect(watcher.update.calls.count()).toBe(1)
+      delProp(state, 'b')
+      expect(hasOwn(state, 'b')).toBe(false)
+      expect(watcher.update.calls.count()).toBe(2)
+    })
+
+    it('should update views when keys are added dynamically', done => {
+      const vm = new Vue({
+        data: {
+          form: {},
+          items: ['a']
+        },
+        template: `
+          <div>
+            <span v-for="(value, key) in form">{{ key }}:{{ value }}</span>
+            <i v-for="item in items">{{ item }}</i>
+          </div>
+        `
+      }).$mount()
+      expect(vm.$el.textContent.replace(/\s+/g, '')).toBe('a')
+      vm.form.name = 'foo'
+      vm.items[0] = 'b'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent.replace(/\s+/g, '')).toBe('name:foob')
+        delete vm.form.name
+        vm.items.length = 0
+      }).then(() => {
+        expect(vm.$el.textContent.replace(/\s+/g, '')).toBe('')
+      }).then(done)
+    })
+
+    it('Vue.observable should return the proxy', done => {
+      const state = Vue.observable({})
+      const vm = new Vue({
+        render (h) {
+          return h('div', state.count)
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('')
+      state.count = 1
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1')
+      }).then(done)
+    })
+  })
 })
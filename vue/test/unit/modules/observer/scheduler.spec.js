@@ -24,6 +24,200 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should run watchers by priority', done => {
+    const callOrder = []
+    queueWatcher({
+      id: 1,
+      priority: 'idle',
+      run () { callOrder.push(1) }
+    })
+    queueWatcher({
+      id: 2,
+      run () { callOrder.push(2) }
+    })
+    queueWatcher({
+      id: 3,
+      priority: 'user-blocking',
+      run () { callOrder.push(3) }
+    })
+    waitForUpdate(() => {
+      expect(callOrder).toEqual([3, 2, 1])
+    }).then(done)
+  })
+
+  it('should not run a watcher before its ancestors\' render watchers', done => {
+    const callOrder = []
+    const parent = { _watcher: { priority: 'normal' }}
+    _queueWatcher({
+      id: 1,
+      vm: parent,
+      priority: 'normal',
+      run () { callOrder.push(1) }
+    })
+    _queueWatcher({
+      id: 2,
+      vm: { $parent: parent },
+      priority: 'user-blocking',
+      run () { callOrder.push(2) }
+    })
+    _queueWatcher({
+      id: 3,
+      vm: {},
+      priority: 'user-blocking',
+      run () { callOrder.push(3) }
+    })
+    waitForUpdate(() => {
+      expect(callOrder).toEqual([3, 1, 2])
+    }).then(done)
+  })
+
+  it('should insert watchers queued during flush by priority', done => {
+    const callOrder = []
+    queueWatcher({
+      id: 1,
+      run () {
+        callOrder.push(1)
+        queueWatcher({
+          id: 3,
+          priority: 'user-blocking',
+          run () { callOrder.push(3) }
+        })
+      }
+    })
+    queueWatcher({
+      id: 2,
+      run () { callOrder.push(2) }
+    })
+    waitForUpdate(() => {
+      expect(callOrder).toEqual([1, 3, 2])
+    }).then(done)
+  })
+
+  it('should update parents before higher priority children', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { n: 0 },
+      template: '<div>{{ n }}<child ref="child"></child></div>',
+      beforeUpdate () { calls.push('parent') },
+      components: {
+        child: {
+          priority: 'user-blocking',
+          data: () => ({ m: 0 }),
+          template: '<span>{{ m }}</span>',
+          beforeUpdate () { calls.push('child') }
+        }
+      }
+    }).$mount()
+    vm.$refs.child.m++
+    vm.n++
+    waitForUpdate(() => {
+      expect(calls).toEqual(['parent', 'child'])
+      expect(vm.$el.textContent).toBe('11')
+    }).then(done)
+  })
+
+  it('should run user watchers before a higher priority render watcher', done => {
+    const seen = []
+    const updated = jasmine.createSpy('updated')
+    const vm = new Vue({
+      priority: 'user-blocking',
+      data: { a: 0, b: 0 },
+      template: '<div>{{ a }}-{{ b }}</div>',
+      watch: {
+        a (val) {
+          seen.push(this.$el.textContent)
+          this.b = val * 2
+        }
+      },
+      created () {
+        this.$watch('a', () => {
+          seen.push(this.$el.textContent)
+        })
+      },
+      updated
+    }).$mount()
+    vm.a = 1
+    waitForUpdate(() => {
+      expect(seen).toEqual(['0-0', '0-0'])
+      expect(vm.$el.textContent).toBe('1-2')
+      expect(updated.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  describe('flushBudget', () => {
+    beforeEach(() => {
+      Vue.config.flushBudget = 5
+    })
+
+    afterEach(() => {
+      Vue.config.flushBudget = 0
+    })
+
+    function waitFor (condition, cb) {
+      if (condition()) {
+        cb()
+      } else {
+        setTimeout(() => waitFor(condition, cb), 5)
+      }
+    }
+
+    it('should yield when the budget is used up', done => {
+      const calls = []
+      const busy = id => () => {
+        const start = Date.now()
+        while (Date.now() - start < 10) {}
+        calls.push(id)
+      }
+      queueWatcher({ id: 1, run: busy(1) })
+      queueWatcher({ id: 2, run: busy(2) })
+      queueWatcher({ id: 3, run: busy(3) })
+      // a microtask after the first slice, nextTick waits for the flush
+      Promise.resolve().then(() => {
+        // one watcher always runs before yielding
+        expect(calls).toEqual([1])
+        waitFor(() => calls.length === 3, () => {
+          expect(calls).toEqual([1, 2, 3])
+          done()
+        })
+      })
+    })
+
+    it('should yield before running idle watchers', done => {
+      const calls = []
+      queueWatcher({ id: 1, priority: 'idle', run: () => calls.push(1) })
+      queueWatcher({ id: 2, run: () => calls.push(2) })
+      Promise.resolve().then(() => {
+        expect(calls).toEqual([2])
+        waitFor(() => calls.length === 2, () => {
+          expect(calls).toEqual([2, 1])
+          done()
+        })
+      })
+    })
+
+    it('should run nextTick callbacks once a sliced flush is done', done => {
+      const calls = []
+      const busy = id => () => {
+        const start = Date.now()
+        while (Date.now() - start < 10) {}
+        calls.push(id)
+      }
+      queueWatcher({ id: 1, run: busy(1) })
+      queueWatcher({ id: 2, run: busy(2) })
+      Vue.nextTick(() => {
+        calls.push('tick')
+      })
+      Promise.resolve().then(() => {
+        expect(calls).toEqual([1])
+        // queued while the flush is paused
+        Vue.nextTick().then(() => {
+          expect(calls).toEqual([1, 2, 'tick'])
+          done()
+        })
+      })
+    })
+  })
+
   it('dedup', done => {
     queueWatcher({
       id: 1,
@@ -126,6 +320,107 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('should report the update cycle', done => {
+    const warnHandler = Vue.config.warnHandler = jasmine.createSpy('warnHandler')
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      template: '<div>{{ a }}</div>',
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      }
+    }).$mount()
+    vm.a++
+    waitForUpdate(() => {
+      expect(warnHandler).toHaveBeenCalled()
+      const msg = warnHandler.calls.argsFor(0)[0]
+      expect(msg).toContain('You may have an infinite update loop in watcher with expression "a"')
+      expect(msg).toContain(
+        'Update cycle:\n' +
+        '  watcher "a" of <Root>\n' +
+        '    -> set "b", which triggered\n' +
+        '  watcher "b" of <Root>\n' +
+        '    -> set "a", which triggered\n' +
+        '  watcher "a" of <Root>\n'
+      )
+      expect(warnHandler.calls.argsFor(0)[1]).toBe(vm)
+      Vue.config.warnHandler = null
+    }).then(done)
+  })
+
+  it('should include the component name and file in the cycle', done => {
+    const vm = new Vue({
+      data: { n: 0 },
+      template: '<test :n="n" @update="n++"></test>',
+      components: {
+        test: {
+          name: 'test',
+          __file: 'src/Test.vue',
+          props: ['n'],
+          template: '<div>{{ n }}</div>',
+          watch: {
+            n () {
+              this.$emit('update')
+            }
+          }
+        }
+      }
+    }).$mount()
+    vm.n++
+    waitForUpdate(() => {
+      expect(
+        '  render function of <Root>\n' +
+        '    -> set "n", which triggered\n' +
+        '  watcher "n" of <Test> at src/Test.vue\n' +
+        '    -> set "n", which triggered\n' +
+        '  render function of <Root>\n'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should support a per-app update limit', done => {
+    let count = 0
+    const vm = new Vue({
+      maxUpdateCount: 5,
+      data: { a: 0 },
+      watch: {
+        a () {
+          count++
+          this.a++
+        }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(count).toBe(6)
+      expect('infinite update loop').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('warn against infinite update loops in post watchers', done => {
+    let count = 0
+    const vm = new Vue({
+      maxUpdateCount: 5,
+      data: { a: 0 },
+      watch: {
+        a: {
+          handler () {
+            count++
+            this.a++
+          },
+          flush: 'post'
+        }
+      }
+    })
+    vm.a++
+    // each run is flushed in a new tick
+    setTimeout(() => {
+      expect(count).toBe(6)
+      expect('infinite update loop in watcher with expression "a"').toHaveBeenWarned()
+      done()
+    })
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
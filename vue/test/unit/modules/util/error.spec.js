@@ -22,3 +22,147 @@ describe('invokeWithErrorHandling', () => {
     })
   }
 })
+
+describe('error reporters', () => {
+  beforeEach(() => {
+    Vue.config.errorHandler = () => {}
+  })
+
+  afterEach(() => {
+    Vue.config.errorHandler = null
+  })
+
+  it('should report the code passed by the call site', () => {
+    const spy = jasmine.createSpy('reporter')
+    const remove = Vue.addErrorReporter(spy)
+    new Vue({
+      errorCaptured () {
+        throw new Error('errorCaptured')
+      },
+      render: h => h('test'),
+      components: {
+        test: {
+          beforeMount () {
+            throw new Error('beforeMount')
+          },
+          computed: {
+            a () {
+              throw new Error('getter')
+            }
+          },
+          watch: {
+            a () {}
+          },
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    const reports = spy.calls.allArgs().map(args => args[0])
+    expect(reports.map(r => [r.code, r.info])).toEqual([
+      ['ERROR_CAPTURED_HOOK', 'errorCaptured hook'],
+      ['WATCHER_GETTER', 'getter for watcher "a"'],
+      ['ERROR_CAPTURED_HOOK', 'errorCaptured hook'],
+      ['BEFORE_MOUNT_HOOK', 'beforeMount hook']
+    ])
+    remove()
+  })
+
+  it('should send structured reports to every reporter', () => {
+    const a = jasmine.createSpy('a')
+    const b = jasmine.createSpy('b')
+    const removeA = Vue.addErrorReporter(a)
+    const removeB = Vue.addErrorReporter(b)
+    const err = new Error('render')
+    let child
+    new Vue({
+      template: '<div><test msg="hi"></test></div>',
+      components: {
+        test: {
+          name: 'test',
+          props: ['msg'],
+          created () {
+            child = this
+          },
+          render () {
+            throw err
+          }
+        }
+      }
+    }).$mount()
+    expect(a.calls.count()).toBe(1)
+    expect(b.calls.count()).toBe(1)
+    const [report, vm] = a.calls.argsFor(0)
+    expect(vm).toBe(child)
+    expect(report.error).toBe(err)
+    expect(report.code).toBe('RENDER')
+    expect(report.info).toBe('render')
+    expect(report.component).toBe('<Test>')
+    expect(report.trace).toContain('---> <Test>')
+    expect(report.trace).toContain('<Root>')
+    expect(report.props).toEqual({ msg: 'hi' })
+
+    removeA()
+    removeB()
+    new Vue({
+      render () {
+        throw err
+      }
+    }).$mount()
+    expect(a.calls.count()).toBe(1)
+  })
+
+  it('should not report errors captured by a component', () => {
+    const spy = jasmine.createSpy('reporter')
+    const remove = Vue.addErrorReporter(spy)
+    new Vue({
+      errorCaptured: () => false,
+      render: h => h('test'),
+      components: {
+        test: {
+          created () {
+            throw new Error('created')
+          },
+          render: h => h('div')
+        }
+      }
+    }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+    remove()
+  })
+
+  it('should log errors thrown by a reporter', () => {
+    const remove = Vue.addErrorReporter(() => {
+      throw new Error('reporter')
+    })
+    Vue.nextTick(() => {
+      throw new Error('tick')
+    })
+    return Vue.nextTick().then(() => {
+      expect('Error in error reporter: "Error: reporter"').toHaveBeenWarned()
+      expect('Error: reporter').toHaveBeenWarned()
+      remove()
+    })
+  })
+
+  it('should report rejected async components', done => {
+    const spy = jasmine.createSpy('reporter')
+    const remove = Vue.addErrorReporter(spy)
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: (resolve, reject) => {
+          setTimeout(() => reject('nope'))
+        }
+      }
+    }).$mount()
+    setTimeout(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      const [report, owner] = spy.calls.argsFor(0)
+      expect(owner).toBe(vm)
+      expect(report.error).toBe('nope')
+      expect(report.code).toBe('ASYNC_COMPONENT')
+      remove()
+      done()
+    }, 10)
+  })
+})
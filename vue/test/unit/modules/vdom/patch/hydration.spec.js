@@ -150,6 +150,103 @@ describe('vdom patch: hydration', () => {
     expect('not matching server-rendered content').toHaveBeenWarned()
   })
 
+  it('should hydrate components with fragment roots', done => {
+    const dom = createMockSSRDOM('<!--[--><b>foo</b><i>1</i><!--]--><p></p>')
+    const [start, b, i, end, p] = dom.childNodes
+
+    const vm = new Vue({
+      template: '<div><test :msg="msg"></test><p></p></div>',
+      data: { msg: 'foo' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<b>{{ msg }}</b><i>1</i>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(start)
+    expect(vm.$children[0]._vnode.anchor).toBe(end)
+    expect(dom.childNodes[1]).toBe(b)
+    expect(dom.childNodes[2]).toBe(i)
+    expect(dom.childNodes[4]).toBe(p)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<!--[--><b>bar</b><i>1</i><!--]--><p></p>')
+      expect(dom.childNodes[1]).toBe(b)
+    }).then(done)
+  })
+
+  it('should warn failed hydration for non-matching fragment roots', () => {
+    const dom = createMockSSRDOM('<!--[--><b></b><!--]-->')
+
+    new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          template: '<b></b><i></i>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(dom.innerHTML).toBe('<!--[--><b></b><i></i><!--]-->')
+  })
+
+  it('should hydrate teleports', done => {
+    const target = document.createElement('div')
+    target.innerHTML = '<p>foo</p><!--teleport anchor--><p>other</p><!--teleport anchor-->'
+    const [p1, anchor1, p2, anchor2] = target.childNodes
+    const dom = createMockSSRDOM(
+      '<!--teleport start--><!--teleport end-->' +
+      '<!--teleport start--><b>disabled</b><!--teleport end-->'
+    )
+    const b = dom.childNodes[3]
+
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport :to="target"><p>{{ msg }}</p></teleport><teleport
+            :to="target" disabled><b>disabled</b></teleport>
+        </div>
+      `,
+      data: { msg: 'foo', target }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(dom)
+    expect(target.childNodes[0]).toBe(p1)
+    expect(target.childNodes[1]).toBe(anchor1)
+    expect(target.childNodes[2]).toBe(p2)
+    expect(target.childNodes[3]).toBe(anchor2)
+    expect(dom.childNodes[3]).toBe(b)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.childNodes[0]).toBe(p1)
+      expect(p1.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should clear the teleport cursor once hydration is done', () => {
+    const target = document.createElement('div')
+    target.innerHTML = '<p>foo</p><!--teleport anchor-->'
+    const [p1, anchor1] = target.childNodes
+    const hydrateApp = () => new Vue({
+      template: '<div><teleport :to="target"><p>foo</p></teleport></div>',
+      data: { target }
+    }).$mount(createMockSSRDOM('<!--teleport start--><!--teleport end-->'))
+
+    hydrateApp()
+    expect(target._teleportCursor).toBeUndefined()
+    // a later hydration into the same target starts over from its first child
+    hydrateApp()
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(target._teleportCursor).toBeUndefined()
+    expect(target.childNodes[0]).toBe(p1)
+    expect(target.childNodes[1]).toBe(anchor1)
+  })
+
   it('should warn failed hydration when component is not properly registered', () => {
     const dom = createMockSSRDOM('<div><foo></foo></div>')
 
@@ -388,4 +485,102 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  describe('mismatch report', () => {
+    let reports
+    beforeEach(() => {
+      reports = []
+      Vue.config.hydrationMismatchHandler = (report, vm) => {
+        reports.push({ report, vm })
+      }
+    })
+
+    afterEach(() => {
+      Vue.config.hydrationMismatchHandler = null
+    })
+
+    it('should warn with the DOM path and the expected vs actual node', () => {
+      const dom = createMockSSRDOM('<ul><li>a</li><li><p>b</p></li></ul>')
+      dom.id = 'app'
+      const vm = new Vue({
+        template: '<div><ul><li>a</li><li><span class="x">b</span></li></ul></div>'
+      }).$mount(dom)
+      expect(
+        'Hydration mismatch (tag) at div#app > ul > li:nth-child(2) > p\n' +
+        '  - expected: <span class="x">\n' +
+        '  + actual:   <p>'
+      ).toHaveBeenWarned()
+      expect(reports.length).toBe(1)
+      const { report } = reports[0]
+      expect(report.category).toBe('tag')
+      expect(report.component).toBe('<Root>')
+      expect(report.expected).toEqual({ type: 'element', tag: 'span', text: null, attrs: { class: 'x' }})
+      expect(report.actual).toEqual({ type: 'element', tag: 'p', text: null, attrs: {}})
+      expect(reports[0].vm).toBe(vm)
+    })
+
+    it('should report missing and extra nodes', () => {
+      new Vue({
+        template: '<div><span>a</span><span>b</span></div>'
+      }).$mount(createMockSSRDOM('<span>a</span>'))
+      new Vue({
+        template: '<div><span>a</span></div>'
+      }).$mount(createMockSSRDOM('<span>a</span><b>b</b>'))
+      expect('Hydration mismatch (missing-node) at div\n').toHaveBeenWarned()
+      expect('Hydration mismatch (extra-node) at div > b:nth-child(2)').toHaveBeenWarned()
+      expect(reports.map(r => r.report.category)).toEqual(['missing-node', 'extra-node'])
+      expect(reports[0].report.expected.tag).toBe('span')
+      expect(reports[0].report.actual).toBe(null)
+      expect(reports[1].report.expected).toBe(null)
+    })
+
+    it('should include the component trace', () => {
+      new Vue({
+        template: '<div><test></test></div>',
+        components: {
+          test: { name: 'test', template: '<div>{{ 1 }}<b></b></div>' }
+        }
+      }).$mount(createMockSSRDOM('<div><i></i></div>'))
+      expect('Hydration mismatch (node-type)').toHaveBeenWarned()
+      const report = reports[0].report
+      expect(report.component).toBe('<Test>')
+      expect(report.trace).toContain('<Test>')
+      expect(report.actual).toEqual({ type: 'element', tag: 'i', text: null, attrs: {}})
+      expect(report.expected).toEqual({ type: 'text', tag: null, text: '1', attrs: null })
+    })
+
+    it('should report v-html mismatches', () => {
+      const dom = createMockSSRDOM('<b>server</b>')
+      patch(dom, new VNode('div', { domProps: { innerHTML: '<b>client</b>' }}, []))
+      expect('Hydration mismatch (inner-html)').toHaveBeenWarned()
+      const report = reports[0].report
+      expect(report.expected.text).toBe('<b>client</b>')
+      expect(report.actual.text).toBe('<b>server</b>')
+    })
+
+    it('should report text mismatches to the handler only', () => {
+      const dom = createMockSSRDOM('<span>foo</span>')
+      new Vue({
+        data: { a: 'bar' },
+        template: '<div><span>{{ a }}</span></div>'
+      }).$mount(dom)
+      expect(dom.textContent).toBe('bar')
+      expect(reports.length).toBe(1)
+      expect(reports[0].report.category).toBe('text')
+      expect(reports[0].report.path).toBe('div > span > #text')
+      expect(reports[0].report.actual.text).toBe('foo')
+    })
+
+    it('should handle errors in the handler', () => {
+      Vue.config.hydrationMismatchHandler = () => {
+        throw new Error('oops')
+      }
+      new Vue({
+        template: '<div><span></span></div>'
+      }).$mount(createMockSSRDOM('<p></p>'))
+      expect('Error in config.hydrationMismatchHandler').toHaveBeenWarned()
+      expect('Error: oops').toHaveBeenWarned()
+      expect('Hydration mismatch (tag)').toHaveBeenWarned()
+    })
+  })
 })
@@ -5,12 +5,26 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  Ref,
+  EffectScope,
+  ErrorReport,
+  ErrorReporter,
+  HydrationMismatchReport,
+  HydrationNodeInfo,
+  EventModifier,
+  Profiler,
+  ProfileEvent,
+  ProfileTrace,
+  ChromeTraceEvent,
+  CompileCache,
+  CompileCacheEntry
 } from "./vue";
 
 export {
   Component,
   AsyncComponent,
+  AsyncComponentRetryOptions,
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
@@ -19,9 +33,13 @@ export {
   ComputedOptions,
   WatchHandler,
   WatchOptions,
+  WatcherPriority,
   WatchOptionsWithHandler,
+  DebuggerOptions,
+  DebuggerEvent,
   DirectiveFunction,
-  DirectiveOptions
+  DirectiveOptions,
+  SetupContext
 } from "./options";
 
 export {
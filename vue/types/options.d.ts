@@ -22,15 +22,26 @@ export type AsyncComponent<Data=DefaultData<never>, Methods=DefaultMethods<never
 
 export type AsyncComponentPromise<Data=DefaultData<never>, Methods=DefaultMethods<never>, Computed=DefaultComputed, Props=DefaultProps> = (
   resolve: (component: Component<Data, Methods, Computed, Props>) => void,
-  reject: (reason?: any) => void
+  reject: (reason?: any) => void,
+  signal?: AbortSignal
 ) => Promise<Component | EsModuleComponent> | void;
 
+export interface AsyncComponentRetryOptions {
+  /** maximum number of retries */
+  attempts?: number;
+  /** delay before a retry in ms, doubled on each attempt, or a function of the attempt */
+  backoff?: number | ((attempts: number) => number);
+  shouldRetry?: (error: any, attempts: number) => boolean;
+}
+
 export type AsyncComponentFactory<Data=DefaultData<never>, Methods=DefaultMethods<never>, Computed=DefaultComputed, Props=DefaultProps> = () => {
   component: AsyncComponentPromise<Data, Methods, Computed, Props>;
   loading?: Component | EsModuleComponent;
   error?: Component | EsModuleComponent;
   delay?: number;
   timeout?: number;
+  retry?: number | AsyncComponentRetryOptions;
+  onError?: (error: any, retry: () => void, fail: () => void, attempts: number) => void;
 }
 
 /**
@@ -64,6 +75,13 @@ type DefaultData<V> =  object | ((this: V) => object);
 type DefaultProps = Record<string, any>;
 type DefaultMethods<V> =  { [key: string]: (this: V, ...args: any[]) => any };
 type DefaultComputed = { [key: string]: any };
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): void;
+}
+
 export interface ComponentOptions<
   V extends Vue,
   Data=DefaultData<V>,
@@ -77,6 +95,7 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  setup?(props: Props, context: SetupContext): object | ((createElement: CreateElement) => VNode) | Promise<object | ((createElement: CreateElement) => VNode)> | void;
 
   el?: Element | string;
   template?: string;
@@ -97,6 +116,12 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  /** stream a placeholder and render this component once its serverPrefetch resolves */
+  serverDefer?: boolean;
+  /** hydrate this component on its own, see Vue.hydrateIslands() */
+  hydrate?: 'visible' | 'idle' | 'interaction' | 'never';
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -119,6 +144,8 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  priority?: WatcherPriority;
+  maxUpdateCount?: number;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -163,7 +190,7 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
@@ -171,11 +198,27 @@ export interface ComputedOptions<T> {
 
 export type WatchHandler<T> = (val: T, oldVal: T) => void;
 
-export interface WatchOptions {
+export interface WatchOptions extends DebuggerOptions {
   deep?: boolean;
   immediate?: boolean;
+  priority?: WatcherPriority;
+  flush?: 'pre' | 'post' | 'sync';
 }
 
+export interface DebuggerOptions {
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
+}
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  key?: any;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+}
+
+export type WatcherPriority = 'user-blocking' | 'normal' | 'idle';
+
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
   handler: WatchHandler<T>;
 }
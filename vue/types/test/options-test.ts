@@ -1,6 +1,7 @@
 import Vue, { PropType, VNode } from "../index";
 import { ComponentOptions, Component } from "../index";
 import { CreateElement } from "../vue";
+import { AsyncComponentFactory } from "../options";
 
 interface MyComponent extends Vue {
   a: number;
@@ -151,6 +152,9 @@ Vue.component('component', {
       cache: false
     }
   },
+  renderTriggered(e) {
+    e.type;
+  },
   methods: {
     plus() {
       this.a++;
@@ -255,6 +259,8 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  serverDefer: true,
+  hydrate: 'idle',
 
   directives: {
     a: {
@@ -479,3 +485,42 @@ Vue.component('functional-component-v-model', {
 
 
 Vue.component('async-es-module-component', () => import('./es-module'))
+
+const retryFactory: AsyncComponentFactory = () => ({
+  component: (resolve, reject, signal) => {
+    if (signal) signal.addEventListener('abort', () => {});
+  },
+  retry: {
+    attempts: 2,
+    backoff: 100,
+    shouldRetry: error => error.name !== 'AbortError'
+  },
+  onError(error, retry, fail, attempts) {
+    attempts < 5 ? retry() : fail();
+  }
+})
+Vue.component('async-retry-component', retryFactory)
+
+Vue.component('setup-component', {
+  props: {
+    initial: Number
+  },
+  setup(props, { attrs, emit }) {
+    const count = Vue.ref(props.initial || 0);
+    Vue.onMounted(() => emit('ready', attrs.id));
+    return { count };
+  }
+});
+
+Vue.component('setup-render-component', {
+  setup() {
+    const msg = Vue.ref('hello');
+    return (h: CreateElement) => h('div', msg.value);
+  }
+});
+
+Vue.component('async-setup-component', {
+  setup() {
+    return Promise.resolve({ msg: 'hello' });
+  }
+});
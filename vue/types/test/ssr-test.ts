@@ -3,7 +3,7 @@ import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-p
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import { createRenderer, createBundleRenderer, createLRUCache } from '../../packages/vue-server-renderer';
 
 function createApp (context: any) {
   return new Vue({
@@ -58,6 +58,10 @@ renderer.renderToStream(app, context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const webStream: ReadableStream<Uint8Array> = renderer.renderToWebStream(app, context);
+declare const writable: WritableStream<Uint8Array>;
+renderer.pipeToWebWritable(app, context, writable).then(() => {});
+
 // Bundle renderer test
 declare const cacheClient: { [key: string]: string };
 
@@ -115,6 +119,18 @@ bundleRenderer.renderToStream(context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const lruRenderer = createRenderer({
+  cache: createLRUCache({ max: 500, maxSize: 1024 * 1024 }),
+  cacheVersion: 'build-hash',
+  onCacheHit: (key, name) => {},
+  onCacheMiss: (key, name) => {}
+});
+lruRenderer.invalidateTags(['user:1']);
+bundleRenderer.invalidateTags('user:1');
+
+bundleRenderer.renderToWebStream(context).getReader();
+bundleRenderer.pipeToWebWritable(context, writable).then(() => {});
+
 // webpack plugins
 webpack({
   plugins: [
@@ -1,4 +1,4 @@
-import Vue, { VNode } from "../index";
+import Vue, { VNode, CompileCacheEntry } from "../index";
 import { ComponentOptions } from "../options";
 
 class Test extends Vue {
@@ -44,6 +44,8 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", (val: number) => {}, { flush: "post" });
+    this.$watch("a", (val: number) => {}, { onTrigger(e) { e.type; } });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -66,14 +68,41 @@ class Test extends Vue {
         vm.testMethods();
       }
     };
+    const removeReporter = this.addErrorReporter((report, vm) => {
+      const code: string = report.code;
+      const props = report.props && report.props.foo;
+    });
+    removeReporter();
+    this.profiler.start();
+    const trace = this.profiler.stop();
+    const renders = trace.events.filter(e => e.type === 'render').map(e => e.duration);
+    const json: string = JSON.stringify(trace.toChromeTrace());
+    const removeListener = this.profiler.addListener(event => event.name);
+    removeListener();
+    const cancelIslands = this.hydrateIslands({ counter: { hydrate: 'visible' } }, document.body);
+    cancelIslands();
+    this.eventModifier('once-per-frame', (listener, arg, { event, vm }) => listener);
+    const modifier = this.eventModifier('once-per-frame');
     config.warnHandler = (msg, vm) => {
       if (vm instanceof Test) {
         vm.testProperties();
         vm.testMethods();
       }
     };
+    config.hydrationMismatchHandler = (report, vm) => {
+      const category: string = report.category;
+      const tag = report.expected && report.expected.tag;
+    };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
+    config.reactivityMode = 'proxy';
+    config.flushBudget = 8;
+    config.templateSourceMaps = true;
+    const entries: { [key: string]: CompileCacheEntry } = {};
+    config.compileCache = {
+      get: key => entries[key],
+      set: (key, entry) => { entries[key] = entry; }
+    };
     config.async = false
   }
 
@@ -103,6 +132,23 @@ class Test extends Vue {
     this.use;
     this.mixin(Test);
     this.compile("<div>{{ message }}</div>");
+    const state = this.reactive({ count: 0 });
+    const count = this.ref(0);
+    const double = this.computed(() => count.value * 2, {
+      onTrack(e) { e.target; },
+      onTrigger(e) { e.key; }
+    });
+    const writable = this.computed({
+      get: () => state.count,
+      set: (value: number) => { state.count = value; }
+    });
+    writable.value = double.value;
+    const scope = this.effectScope();
+    scope.run(() => {
+      const stop = this.watchEffect(() => console.log(state.count));
+      this.onScopeDispose(stop);
+    });
+    scope.stop();
     this
       .use(() => {
 
@@ -11,6 +11,7 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -64,6 +65,94 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export interface ErrorReport {
+  error: any;
+  code: string;
+  info: string;
+  component: string | null;
+  trace: string;
+  props: Record<string, any> | null;
+}
+
+export type ErrorReporter = (report: ErrorReport, vm: Vue | null | undefined) => void;
+
+export interface HydrationNodeInfo {
+  type: 'element' | 'text' | 'comment' | 'fragment';
+  tag: string | null;
+  text: string | null;
+  attrs: Record<string, string> | null;
+}
+
+export interface HydrationMismatchReport {
+  category: 'tag' | 'node-type' | 'text' | 'inner-html' | 'missing-node' | 'extra-node' | 'fragment';
+  path: string;
+  component: string | null;
+  trace: string;
+  expected: HydrationNodeInfo | null;
+  actual: HydrationNodeInfo | null;
+}
+
+export interface ProfileEvent {
+  type: 'init' | 'compile' | 'render' | 'patch' | 'watcher' | 'nextTick';
+  name: string | null;
+  uid: number | null;
+  detail: string | null;
+  start: number;
+  duration: number;
+}
+
+export interface ChromeTraceEvent {
+  name: string;
+  cat: string;
+  ph: 'X';
+  ts: number;
+  dur: number;
+  pid: number;
+  tid: number;
+  args: { uid: number | null; detail: string | null };
+}
+
+export interface ProfileTrace {
+  start: number;
+  end: number;
+  events: ProfileEvent[];
+  toChromeTrace(): { traceEvents: ChromeTraceEvent[]; displayTimeUnit: 'ms' };
+}
+
+export interface Profiler {
+  start(): void;
+  stop(): ProfileTrace;
+  addListener(listener: (event: ProfileEvent) => void): () => void;
+}
+
+export type EventModifier = (
+  listener: Function,
+  arg: string | undefined,
+  context: { event: string; vm: Vue; modifiers: Record<string, boolean | string> }
+) => Function;
+
+export interface CompileCacheEntry {
+  version: string;
+  render: string;
+  staticRenderFns: string[];
+  sourceMaps?: { render: object; staticRenderFns: object[] };
+}
+
+export interface CompileCache {
+  get(key: string): CompileCacheEntry | undefined | null;
+  set(key: string, entry: CompileCacheEntry): void;
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -72,8 +161,13 @@ export interface VueConfiguration {
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
   warnHandler(msg: string, vm: Vue, trace: string): void;
+  hydrationMismatchHandler: ((report: HydrationMismatchReport, vm: Vue | null | undefined) => void) | null;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  reactivityMode: 'defineProperty' | 'proxy';
+  flushBudget: number;
+  templateSourceMaps: boolean;
+  compileCache: CompileCache | null;
   async: boolean;
 }
 
@@ -91,6 +185,11 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   nextTick<T>(callback: (this: T) => void, context?: T): void;
   nextTick(): Promise<void>
+  addErrorReporter(reporter: ErrorReporter): () => void;
+  profiler: Profiler;
+  hydrateIslands(components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> }, root?: Element | Document): () => void;
+  eventModifier(name: string): EventModifier | undefined;
+  eventModifier(name: string, wrap: EventModifier | null): void;
   set<T>(object: object, key: string | number, value: T): T;
   set<T>(array: T[], key: number, value: T): T;
   delete(object: object, key: string | number): void;
@@ -121,6 +220,28 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(obj: T): T;
+  ref<T>(value: T): Ref<T>;
+  isRef(value: any): value is Ref<any>;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): Readonly<Ref<T>>;
+  computed<T>(options: { get: () => T; set: (value: T) => void }, debugOptions?: DebuggerOptions): Ref<T>;
+  watchEffect(effect: () => void): () => void;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(hook: () => void): void;
+  onMounted(hook: () => void): void;
+  onBeforeUpdate(hook: () => void): void;
+  onUpdated(hook: () => void): void;
+  onBeforeUnmount(hook: () => void): void;
+  onUnmounted(hook: () => void): void;
+  onActivated(hook: () => void): void;
+  onDeactivated(hook: () => void): void;
+  onErrorCaptured(hook: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(hook: () => Promise<void>): void;
+
   config: VueConfiguration;
   version: string;
 }